@@ -21,6 +21,12 @@ class AnimationManager {
     }
 
     play() {
+        // Start from the in point when the playhead is outside the work area or at its end
+        const { start, end } = this.app.getWorkArea();
+        if (this.app.currentFrame < start || this.app.currentFrame >= end) {
+            this.app.setCurrentFrame(start);
+        }
+
         this.app.isPlaying = true;
         this.lastFrameTime = performance.now();
         this.frameInterval = 1000 / this.app.frameRate;
@@ -63,13 +69,14 @@ class AnimationManager {
     }
 
     advanceFrame() {
+        const { start, end } = this.app.getWorkArea();
         this.app.currentFrame++;
 
-        if (this.app.currentFrame >= this.app.totalFrames) {
+        if (this.app.currentFrame > end) {
             if (this.isLooping) {
-                this.app.currentFrame = 0;
+                this.app.currentFrame = start;
             } else {
-                this.app.currentFrame = this.app.totalFrames - 1;
+                this.app.currentFrame = end;
                 this.pause();
             }
         }
@@ -159,23 +166,34 @@ class AnimationManager {
             context.translate(-centerX, -centerY);
         }
 
-        // Set basic font properties
-        context.font = `${props.fontSize}px "${textObject.fontFamily}"`;
-        context.fillStyle = props.color;
-        context.textBaseline = 'top';
-        context.textAlign = textObject.textAlign || 'left';
-
-        // Apply font features using DOM element for better rendering
-        if (this.app.fontManager && this.app.fonts.has(textObject.fontFamily)) {
-            this.renderTextWithFeatures(textObject, props, context);
-        } else {
-            context.fillText(textObject.text, props.x, props.y);
-        }
+        const measure = (text, runProps) => {
+            context.font = `${runProps.fontSize}px "${textObject.fontFamily}"`;
+            window.TextLayout.applySpacing(context, runProps);
+            return context.measureText(text).width;
+        };
+
+        window.TextLayout.getRuns(this.app, textObject, frame, measure).forEach(run => {
+            // Set basic font properties
+            context.font = `${run.props.fontSize}px "${textObject.fontFamily}"`;
+            window.TextLayout.applySpacing(context, run.props);
+            window.TextLayout.applyPaint(context, run.props, run.bounds);
+            context.textBaseline = 'top';
+            context.textAlign = run.textAlign;
+
+            // Apply font features using DOM element for better rendering
+            if (this.app.fontManager && this.app.fonts.has(textObject.fontFamily)) {
+                this.renderTextWithFeatures(textObject, run, context);
+            } else {
+                window.TextEffects.drawRun(context, run);
+            }
+        });
 
         context.restore();
     }
 
-    renderTextWithFeatures(textObject, props, context) {
+    renderTextWithFeatures(textObject, run, context) {
+        const props = run.props;
+
         // For better OpenType feature support, we create a DOM element
         // and then draw it to canvas using HTML5 canvas methods
 
@@ -210,7 +228,7 @@ class AnimationManager {
             }
         }
 
-        tempElement.textContent = textObject.text;
+        tempElement.textContent = run.text;
         document.body.appendChild(tempElement);
 
         // Get computed styles and apply to canvas
@@ -218,7 +236,7 @@ class AnimationManager {
         context.font = computedStyle.font || context.font;
 
         // Render the text
-        context.fillText(textObject.text, props.x, props.y);
+        window.TextEffects.drawRun(context, run);
 
         // Clean up
         document.body.removeChild(tempElement);
@@ -236,7 +254,8 @@ class AnimationManager {
         context.textRenderingOptimization = 'optimizeQuality';
         context.textRendering = 'geometricPrecision';
 
-        for (let frame = 0; frame < this.app.totalFrames; frame++) {
+        const { start, end } = this.app.getWorkArea();
+        for (let frame = start; frame <= end; frame++) {
             // Render frame
             this.renderFrame(frame, canvas, context);
 
@@ -249,7 +268,7 @@ class AnimationManager {
 
             // Report progress
             if (onProgress) {
-                onProgress(frame / this.app.totalFrames);
+                onProgress((frame - start) / (end - start + 1));
             }
 
             // Allow UI updates
@@ -0,0 +1,304 @@
+// Background autosave to IndexedDB with crash recovery on startup
+class AutosaveManager {
+    constructor(app) {
+        this.app = app;
+        this.db = null;
+        this.sessionId = Date.now();
+        this.isDirty = false;
+        this.hasUnsavedChanges = false;
+        this.isSaving = false;
+        this.currentSave = null;
+        this.saveTimeout = null;
+        this.saveInterval = null;
+        this.intervalSeconds = window.AppSettings?.getValue('autosaveInterval') || 30;
+        this.maxSessions = window.AppSettings?.getValue('maxAutosaveSessions') || 5;
+        this.thumbnailWidth = 160;
+    }
+
+    static get DB_NAME() {
+        return 'fontanimation';
+    }
+
+    static get STORE_NAME() {
+        return 'autosave';
+    }
+
+    async init() {
+        try {
+            this.db = await this.openDatabase();
+        } catch (error) {
+            console.warn('Autosave disabled, IndexedDB not available:', error);
+            return;
+        }
+
+        await this.showRecoveryDialog();
+
+        this.saveInterval = setInterval(() => this.save(), this.intervalSeconds * 1000);
+
+        // A session closed with nothing left unsaved has nothing to recover
+        window.addEventListener('pagehide', () => {
+            if (!this.hasUnsavedChanges) {
+                this.deleteSession(this.sessionId).catch(() => {});
+            }
+        });
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(AutosaveManager.DB_NAME, 1);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(AutosaveManager.STORE_NAME)) {
+                    db.createObjectStore(AutosaveManager.STORE_NAME, { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Run a single request against the autosave store
+    runRequest(mode, callback) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(AutosaveManager.STORE_NAME, mode);
+            const request = callback(transaction.objectStore(AutosaveManager.STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Called from app.saveState(); debounced so bursts of edits produce a single save
+    markDirty() {
+        this.isDirty = true;
+        this.hasUnsavedChanges = true;
+
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+        }
+        this.saveTimeout = setTimeout(() => {
+            this.saveTimeout = null;
+            this.save();
+        }, 2000);
+    }
+
+    // Called once the project is saved to or opened from a file. The session then holds
+    // nothing the file doesn't, so its record is dropped until the next change.
+    async markClean() {
+        this.isDirty = false;
+        this.hasUnsavedChanges = false;
+
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+        }
+        if (!this.db) return;
+
+        try {
+            // A save in progress would write the record back after the delete
+            await this.currentSave;
+            await this.deleteSession(this.sessionId);
+        } catch (error) {
+            console.warn('Could not remove the autosaved session:', error);
+        }
+    }
+
+    async save() {
+        if (!this.db || !this.isDirty || this.isSaving) return;
+
+        this.isSaving = true;
+        this.isDirty = false;
+        this.currentSave = this.writeSession();
+
+        try {
+            await this.currentSave;
+        } catch (error) {
+            // Try again on the next change or interval
+            this.isDirty = true;
+            console.warn('Autosave failed:', error);
+        } finally {
+            this.isSaving = false;
+            this.currentSave = null;
+        }
+    }
+
+    async writeSession() {
+        // Nothing worth recovering, an earlier record of the session is stale
+        if (this.app.textObjects.length === 0) {
+            await this.deleteSession(this.sessionId);
+            return;
+        }
+
+        const record = {
+            id: this.sessionId,
+            timestamp: Date.now(),
+            objectCount: this.app.textObjects.length,
+            thumbnail: this.createThumbnail(),
+            project: await this.app.getProjectData({ embedFonts: true })
+        };
+
+        await this.runRequest('readwrite', store => store.put(record));
+        await this.pruneSessions();
+    }
+
+    createThumbnail() {
+        if (!this.app.animationManager) {
+            this.app.animationManager = new window.AnimationManager(this.app);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = this.app.canvasWidth;
+        canvas.height = this.app.canvasHeight;
+        this.app.animationManager.renderFrame(this.app.currentFrame, canvas, canvas.getContext('2d'));
+
+        const thumbnail = document.createElement('canvas');
+        thumbnail.width = this.thumbnailWidth;
+        thumbnail.height = Math.max(1, Math.round(this.thumbnailWidth * canvas.height / canvas.width));
+        thumbnail.getContext('2d').drawImage(canvas, 0, 0, thumbnail.width, thumbnail.height);
+
+        return thumbnail.toDataURL('image/png');
+    }
+
+    // Keep only the most recent sessions
+    async pruneSessions() {
+        const sessions = await this.getSessions(true);
+        const expired = sessions.slice(this.maxSessions);
+
+        for (const session of expired) {
+            await this.deleteSession(session.id);
+        }
+    }
+
+    // All stored sessions, newest first
+    async getSessions(includeCurrent = false) {
+        const sessions = await this.runRequest('readonly', store => store.getAll());
+        return sessions
+            .filter(session => includeCurrent || session.id !== this.sessionId)
+            .sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    deleteSession(id) {
+        return this.runRequest('readwrite', store => store.delete(id));
+    }
+
+    async showRecoveryDialog() {
+        let sessions;
+        try {
+            sessions = await this.getSessions();
+        } catch (error) {
+            console.warn('Could not read autosaved sessions:', error);
+            return;
+        }
+
+        if (sessions.length === 0) return;
+
+        const modal = document.getElementById('recoveryModal');
+        const list = document.getElementById('recoverySessionsList');
+        if (!modal || !list) return;
+
+        const closeModal = () => {
+            modal.style.display = 'none';
+        };
+
+        const renderList = () => {
+            list.innerHTML = '';
+
+            if (sessions.length === 0) {
+                closeModal();
+                return;
+            }
+
+            sessions.forEach(session => {
+                list.appendChild(this.createSessionItem(session, {
+                    onRestore: async () => {
+                        closeModal();
+                        await this.restoreSession(session);
+                    },
+                    onDelete: async () => {
+                        await this.deleteSession(session.id);
+                        sessions = sessions.filter(s => s.id !== session.id);
+                        renderList();
+                    }
+                }));
+            });
+        };
+
+        renderList();
+
+        modal.querySelector('.close').onclick = closeModal;
+        document.getElementById('dismissRecovery').onclick = closeModal;
+        document.getElementById('discardRecovery').onclick = async () => {
+            for (const session of sessions) {
+                await this.deleteSession(session.id);
+            }
+            closeModal();
+        };
+
+        modal.style.display = 'flex';
+    }
+
+    createSessionItem(session, { onRestore, onDelete }) {
+        const item = document.createElement('div');
+        item.className = 'recovery-session';
+
+        const thumbnail = document.createElement('img');
+        thumbnail.className = 'recovery-thumbnail';
+        thumbnail.src = session.thumbnail;
+        thumbnail.alt = '';
+
+        const info = document.createElement('div');
+        info.className = 'recovery-info';
+
+        const date = document.createElement('div');
+        date.className = 'recovery-date';
+        date.textContent = new Date(session.timestamp).toLocaleString();
+
+        const details = document.createElement('div');
+        details.className = 'recovery-details';
+        const fontCount = (session.project.fonts || []).length;
+        details.textContent = `${session.objectCount} text object(s), ${fontCount} font(s)`;
+
+        info.appendChild(date);
+        info.appendChild(details);
+
+        const restoreBtn = document.createElement('button');
+        restoreBtn.textContent = 'Restore';
+        restoreBtn.addEventListener('click', onRestore);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'recovery-delete';
+        deleteBtn.title = 'Delete this session';
+        deleteBtn.innerHTML = '<span class="material-symbols-outlined">delete</span>';
+        deleteBtn.addEventListener('click', onDelete);
+
+        item.appendChild(thumbnail);
+        item.appendChild(info);
+        item.appendChild(restoreBtn);
+        item.appendChild(deleteBtn);
+
+        return item;
+    }
+
+    async restoreSession(session) {
+        try {
+            await this.app.loadProjectData(session.project);
+
+            // The restored project continues in this session
+            await this.deleteSession(session.id);
+            this.markDirty();
+
+            if (window.UIManager) {
+                window.UIManager.createNotification('Session restored', 'success');
+            }
+        } catch (error) {
+            console.error('Error restoring session:', error.validationErrors || error);
+            if (window.UIManager) {
+                window.UIManager.createNotification('Error restoring session: ' + error.message, 'error');
+            }
+        }
+    }
+}
+
+// Make AutosaveManager available globally
+window.AutosaveManager = AutosaveManager;
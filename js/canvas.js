@@ -413,14 +413,12 @@ class CanvasManager {
     }
 
     isPositionInObject(pos, obj) {
-        // Estimate text dimensions for hit testing
-        this.context.font = `${obj.fontSize}px "${obj.fontFamily}"`;
-        const metrics = this.context.measureText(obj.text);
-        const width = metrics.width;
-        const height = obj.fontSize;
+        // Hit test against the laid out text block, so every line, the text box and the
+        // alignment count the same way they are drawn
+        const bounds = this.app.getAccurateTextBounds(obj, this.app.currentFrame);
 
-        return pos.x >= obj.x && pos.x <= obj.x + width &&
-            pos.y >= obj.y && pos.y <= obj.y + height;
+        return pos.x >= bounds.left && pos.x <= bounds.right &&
+            pos.y >= bounds.top && pos.y <= bounds.bottom;
     }
 
     updateCursor(pos) {
@@ -573,37 +571,42 @@ class CanvasManager {
 
         // Check if font is available
         const fontAvailable = this.app.fonts.has(obj.fontFamily) && this.app.isFontLoaded(obj.fontFamily);
+        const setFont = (runProps) => {
+            this.context.font = fontAvailable
+                ? `${runProps.fontSize}px "${obj.fontFamily}"`
+                : `${runProps.fontSize}px Arial, sans-serif`;
+            window.TextLayout.applySpacing(this.context, runProps);
+        };
+        const measure = (text, runProps) => {
+            setFont(runProps);
+            return this.context.measureText(text).width;
+        };
+
+        window.TextLayout.getRuns(this.app, obj, this.app.currentFrame, measure).forEach(run => {
+            setFont(run.props);
+            window.TextLayout.applyPaint(this.context, run.props, run.bounds);
+            this.context.textBaseline = 'top';
+            this.context.textAlign = run.textAlign;
 
-        if (fontAvailable) {
             // Apply font features (variable axes and OpenType features)
-            const hasVariableAxes = props.variableAxes && Object.keys(props.variableAxes).length > 0;
-            const hasOpenTypeFeatures = props.openTypeFeatures && Object.keys(props.openTypeFeatures).length > 0;
+            const hasVariableAxes = run.props.variableAxes && Object.keys(run.props.variableAxes).length > 0;
+            const hasOpenTypeFeatures = run.props.openTypeFeatures && Object.keys(run.props.openTypeFeatures).length > 0;
 
-            if (hasVariableAxes || hasOpenTypeFeatures) {
+            if (fontAvailable && (hasVariableAxes || hasOpenTypeFeatures)) {
                 // Use DOM-based rendering for proper font feature support
-                this.renderTextWithFeatures(obj, props);
-                this.context.restore();
-                return;
+                this.renderTextWithFeatures(obj, run);
             } else {
-                this.context.font = `${props.fontSize}px "${obj.fontFamily}"`;
+                window.TextEffects.drawRun(this.context, run);
             }
-        } else {
-            // Use fallback font when the desired font is not available
-            this.context.font = `${props.fontSize}px Arial, sans-serif`;
-        }
-
-        this.context.fillStyle = props.color;
-        this.context.textBaseline = 'top';
-        this.context.textAlign = obj.textAlign || 'left';
-
-        // Draw the text
-        this.context.fillText(obj.text, props.x, props.y);
+        });
 
         this.context.restore();
     }
 
     // Render text with OpenType features and variable axes using DOM element
-    renderTextWithFeatures(obj, props) {
+    renderTextWithFeatures(obj, run) {
+        const props = run.props;
+
         // Create a temporary DOM element with proper font features
         const tempElement = document.createElement('div');
         tempElement.style.cssText = `
@@ -636,20 +639,15 @@ class CanvasManager {
             }
         }
 
-        tempElement.textContent = obj.text;
+        tempElement.textContent = run.text;
         document.body.appendChild(tempElement);
 
         // Get computed styles and apply to canvas
         const computedStyle = window.getComputedStyle(tempElement);
         this.context.font = computedStyle.font || this.context.font;
 
-        // Set the exact color from props, not from computed style
-        this.context.fillStyle = props.color;
-        this.context.textBaseline = 'top';
-        this.context.textAlign = obj.textAlign || 'left';
-
         // Draw the text
-        this.context.fillText(obj.text, props.x, props.y);
+        window.TextEffects.drawRun(this.context, run);
 
         // Clean up
         document.body.removeChild(tempElement);
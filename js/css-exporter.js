@@ -0,0 +1,604 @@
+// Converts text objects and their keyframes into an HTML page animated with CSS @keyframes
+class CssExporter {
+    constructor(app) {
+        this.app = app;
+    }
+
+    // Every animatable property is mapped onto a registered custom property, so each one
+    // runs its own @keyframes with its own timing and can be combined in a single declaration
+    static get PROPERTIES() {
+        return {
+            x: { variable: '--x', syntax: '<length>', initial: '0px', format: value => `${this.round(value)}px` },
+            y: { variable: '--y', syntax: '<length>', initial: '0px', format: value => `${this.round(value)}px` },
+            fontSize: { variable: '--font-size', syntax: '<length>', initial: '48px', format: value => `${this.round(value)}px` },
+            lineHeight: { variable: '--line-height', syntax: '<number>', initial: '1.2', format: value => `${this.round(value)}` },
+            letterSpacing: { variable: '--letter-spacing', syntax: '<length>', initial: '0px', format: value => `${this.round(value)}px` },
+            wordSpacing: { variable: '--word-spacing', syntax: '<length>', initial: '0px', format: value => `${this.round(value)}px` },
+            color: { variable: '--color', syntax: '<color>', initial: '#000000', format: value => value },
+            opacity: { variable: '--opacity', syntax: '<number>', initial: '1', format: value => `${this.round(value / 100)}` },
+            blur: { variable: '--blur', syntax: '<length>', initial: '0px', format: value => `${this.round(value)}px` },
+            strokeWidth: { variable: '--stroke-width', syntax: '<length>', initial: '0px', format: value => `${this.round(value)}px` },
+            strokeColor: { variable: '--stroke-color', syntax: '<color>', initial: '#000000', format: value => value },
+            rotation: { variable: '--rotation', syntax: '<angle>', initial: '0deg', format: value => `${this.round(value)}deg` }
+        };
+    }
+
+    static getPropertyInfo(property) {
+        if (property.startsWith('variableaxis:')) {
+            const axisTag = property.replace('variableaxis:', '');
+            return {
+                variable: `--axis-${axisTag}`,
+                syntax: '<number>',
+                initial: '0',
+                format: value => `${this.round(value)}`
+            };
+        }
+        if (property.startsWith('feature:')) {
+            const featureTag = property.replace('feature:', '');
+            return {
+                variable: `--feature-${featureTag}`,
+                syntax: '<integer>',
+                initial: '0',
+                format: value => value ? '1' : '0'
+            };
+        }
+        const effect = window.TextEffects.parseProperty(property);
+        if (effect) {
+            const variable = `--effect-${effect.id}-${effect.parameter.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+            if (effect.parameter === 'color') {
+                return { variable, syntax: '<color>', initial: '#000000', format: value => value };
+            }
+            if (effect.parameter === 'opacity') {
+                return { variable, syntax: '<percentage>', initial: '100%', format: value => `${this.round(value)}%` };
+            }
+            return { variable, syntax: '<length>', initial: '0px', format: value => `${this.round(value)}px` };
+        }
+        return this.PROPERTIES[property] || null;
+    }
+
+    static round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+
+    // A CSS string for a name like a font family. Quotes, backslashes and line breaks are
+    // escaped, and so are <, > and & so the string can't close the <style> element it ends
+    // up in or break the markup around it.
+    static quote(text) {
+        const escaped = String(text)
+            .replace(/[\\"]/g, '\\$&')
+            .replace(/[\n\r<>&]/g, char => `\\${char.charCodeAt(0).toString(16)} `);
+        return `"${escaped}"`;
+    }
+
+    // Build the page. Fonts are linked from a fonts/ folder returned in fontFiles,
+    // or inlined as data URLs when options.inlineFonts is set.
+    async export(options = {}) {
+        const { fontFaceRules, fontFiles } = await this.createFontFaces(options.inlineFonts);
+        const targets = [];
+        const elements = this.app.textObjects.map(obj => {
+            const className = this.getClassName(obj);
+
+            // Line breaks are placed where the canvas wraps the text at the start of the work area
+            if (!window.TextLayout.isGlyphAnimated(obj)) {
+                targets.push({ obj, className, properties: this.getAnimatedProperties(obj), declarations: this.getStyleDeclarations(obj) });
+                return `<div class="text ${className}">${this.escapeHtml(this.getLines(obj).join('\n'))}</div>`;
+            }
+
+            // Glyph spans flow inside the object's element and are offset by their own position
+            targets.push({ obj, className, properties: [], declarations: this.getContainerDeclarations(obj) });
+            const lines = this.getGlyphLines(obj).map(glyphs => glyphs.map(glyph => {
+                targets.push({
+                    obj: glyph.obj,
+                    className: glyph.className,
+                    properties: this.getAnimatedProperties(glyph.obj).filter(property => property !== 'rotation'),
+                    declarations: this.getGlyphDeclarations(glyph.obj)
+                });
+                return `<span class="${glyph.className}">${this.escapeHtml(glyph.text)}</span>`;
+            }).join(''));
+            return `<div class="text ${className}">${lines.join('<br>')}</div>`;
+        });
+        const animationRules = this.createAnimationRules(targets);
+
+        const stageRule = [
+            '.stage {',
+            '    position: relative;',
+            '    overflow: hidden;',
+            `    width: ${this.app.canvasWidth}px;`,
+            `    height: ${this.app.canvasHeight}px;`,
+            ...(options.transparentBackground ? [] : [`    background: ${this.app.canvasBackground};`]),
+            '}',
+            '',
+            '.text {',
+            '    position: absolute;',
+            '    margin: 0;',
+            '    line-height: 1;',
+            '    white-space: pre;',
+            '}'
+        ].join('\n');
+
+        const css = [...fontFaceRules, stageRule, ...animationRules].join('\n\n') + '\n';
+
+        const html = [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '    <meta charset="UTF-8">',
+            '    <meta name="viewport" content="width=device-width, initial-scale=1.0">',
+            '    <title>Font Animation</title>',
+            options.inlineFonts ? `    <style>\n${css}    </style>` : '    <link rel="stylesheet" href="animation.css">',
+            '</head>',
+            '<body>',
+            '    <div class="stage">',
+            ...elements.map(element => `        ${element}`),
+            '    </div>',
+            '</body>',
+            '</html>',
+            ''
+        ].join('\n');
+
+        return { html, css, fontFiles };
+    }
+
+    getClassName(obj) {
+        return `text-${obj.id}`;
+    }
+
+    // Lines of a text object as laid out at the start of the work area
+    getLines(obj) {
+        return this.app.getTextLines(obj, this.app.getWorkArea().start);
+    }
+
+    // The glyphs of a glyph animated object line by line, each as { text, className, obj }
+    // where obj is a copy of the text object with its keyframes shifted by the glyph's
+    // stagger delay and the range selector applied. Glyphs are numbered across lines.
+    getGlyphLines(obj) {
+        const lines = this.getLines(obj).map(line => window.TextLayout.splitGlyphs(line));
+        const count = lines.reduce((sum, glyphs) => sum + glyphs.length, 0);
+        const delays = window.TextLayout.getStaggerDelays(obj.stagger, count);
+        let index = 0;
+
+        return lines.map(glyphs => glyphs.map(text => {
+            const keyframes = {};
+            Object.entries(obj.keyframes).forEach(([property, propertyKeyframes]) => {
+                keyframes[property] = propertyKeyframes.map(keyframe => ({ ...keyframe, frame: keyframe.frame + delays[index] }));
+            });
+
+            const glyph = { ...obj, keyframes };
+            if (obj.rangeSelector) {
+                this.applyRangeSelector(obj, glyph, index, count);
+            }
+
+            return {
+                text,
+                className: `${this.getClassName(obj)}-${index++}`,
+                obj: glyph
+            };
+        }));
+    }
+
+    // Bake the range selector into a glyph's keyframes. A fixed range offsets the glyph's
+    // values by a constant weight, an animated range is sampled on every work area frame.
+    applyRangeSelector(obj, glyph, index, count) {
+        const { start, end } = this.app.getWorkArea();
+        const source = { ...glyph };
+        const rangeAnimated = window.TextLayout.RANGE_PROPERTIES.some(property => (obj.keyframes[property] || []).length > 1);
+        const getValue = (property, amount, frame, value = this.app.getPropertyValue(source, property, frame)) => {
+            const weight = window.TextLayout.getRangeWeights(this.app, obj, frame, count)[index];
+            return weight > 0 ? window.TextLayout.getRangeValue(this.app, property, value, amount, weight) : value;
+        };
+
+        glyph.keyframes = { ...glyph.keyframes };
+        glyph.initialState = { ...glyph.initialState };
+        Object.entries(obj.rangeSelector.properties || {}).forEach(([property, amount]) => {
+            const keyframes = glyph.keyframes[property] || [];
+
+            if (rangeAnimated) {
+                glyph.keyframes[property] = Array.from({ length: end - start + 2 }, (_, offset) => ({
+                    frame: start + offset,
+                    value: getValue(property, amount, start + offset)
+                }));
+            } else if (keyframes.length > 0) {
+                glyph.keyframes[property] = keyframes.map(keyframe => ({ ...keyframe, value: getValue(property, amount, start, keyframe.value) }));
+            } else {
+                glyph.initialState[property] = getValue(property, amount, start);
+            }
+        });
+    }
+
+    // A rule per target { obj, className, properties, declarations } setting and animating
+    // the custom properties of the listed properties, preceded by the @property rules and
+    // followed by the @keyframes rules they use. The declarations apply the custom properties.
+    createAnimationRules(targets) {
+        const { start, end } = this.app.getWorkArea();
+        const duration = (end - start + 1) / this.app.frameRate;
+        const registered = new Map();
+        const rules = [];
+        const keyframeRules = [];
+
+        targets.forEach(({ obj, className, properties, declarations: styleDeclarations }) => {
+            const declarations = [];
+            const animations = [];
+
+            properties.forEach(property => {
+                const info = CssExporter.getPropertyInfo(property);
+                registered.set(info.variable, info);
+
+                const track = this.getTrack(obj, property);
+                if (!track) {
+                    declarations.push(`${info.variable}: ${info.format(this.app.getPropertyValue(obj, property, start))};`);
+                    return;
+                }
+
+                const name = `${className}${info.variable.slice(1)}`;
+                keyframeRules.push(this.createKeyframesRule(name, track, info));
+                animations.push(`${name} ${CssExporter.round(duration)}s infinite both`);
+            });
+
+            declarations.push(...styleDeclarations);
+            if (animations.length > 0) {
+                declarations.push(`animation: ${animations.join(', ')};`);
+            }
+
+            rules.push(`.${className} {\n${declarations.map(line => `    ${line}`).join('\n')}\n}`);
+        });
+
+        const propertyRules = Array.from(registered.values()).map(info =>
+            `@property ${info.variable} {\n    syntax: '${info.syntax}';\n    inherits: false;\n    initial-value: ${info.initial};\n}`
+        );
+
+        return [...propertyRules, ...rules, ...keyframeRules];
+    }
+
+    // Properties with keyframes or an initial value that the page needs to set
+    getAnimatedProperties(obj) {
+        const properties = new Set(['x', 'y', 'fontSize', 'lineHeight', 'color']);
+
+        [...Object.keys(obj.keyframes || {}), ...Object.keys(obj.initialState || {})].forEach(property => {
+            if (CssExporter.getPropertyInfo(property) && !property.startsWith('effect:')) {
+                properties.add(property);
+            }
+        });
+
+        // Effects the page can show need all their parameters
+        this.getShadowEffects(obj).forEach(effect => {
+            Object.keys(window.TextEffects.TYPES[effect.type].defaults).forEach(parameter => {
+                properties.add(window.TextEffects.getProperty(effect.id, parameter));
+            });
+        });
+
+        // Strokes need both custom properties to be registered
+        if (properties.has('strokeWidth') || properties.has('strokeColor')) {
+            properties.add('strokeWidth');
+            properties.add('strokeColor');
+        }
+
+        return Array.from(properties);
+    }
+
+    getStyleDeclarations(obj) {
+        const properties = this.getAnimatedProperties(obj);
+        // The canvas places the top of the first line at y, without the half leading above it
+        const declarations = [
+            `font-family: ${CssExporter.quote(obj.fontFamily)}, Arial, sans-serif;`,
+            'left: var(--x);',
+            'top: calc(var(--y) - (var(--line-height) - 1) * var(--font-size) / 2);',
+            'font-size: var(--font-size);',
+            'line-height: var(--line-height);',
+            `text-align: ${obj.textAlign || 'left'};`,
+            'color: var(--color);'
+        ];
+
+        // The canvas anchors centered and right aligned text at x
+        const transforms = [];
+        if (obj.textAlign === 'center') transforms.push('translateX(-50%)');
+        if (obj.textAlign === 'right') transforms.push('translateX(-100%)');
+        if (properties.includes('rotation')) transforms.push('rotate(var(--rotation))');
+        if (transforms.length > 0) {
+            declarations.push(`transform: ${transforms.join(' ')};`);
+        }
+
+        return [...declarations, ...this.getFontDeclarations(obj), ...this.getPaintDeclarations(obj), ...this.getFillDeclarations(obj)];
+    }
+
+    // Gradient and pattern fills are painted behind the text and clipped to it. Fills can't
+    // be animated, so the fill from the start of the work area is used. Backgrounds can't be
+    // turned, so patterns tile from the element's corner without their angle.
+    getFillDeclarations(obj) {
+        const fill = this.app.getPropertyValue(obj, 'fill', this.app.getWorkArea().start);
+        if (!fill) return [];
+
+        const clip = [
+            '-webkit-background-clip: text;',
+            'background-clip: text;',
+            '-webkit-text-fill-color: transparent;'
+        ];
+
+        if (fill.type === 'pattern') {
+            const image = window.TextLayout.getPatternImage(fill.image);
+            const size = image ? `${CssExporter.round(image.naturalWidth * fill.scale / 100)}px auto` : 'auto';
+            return [`background-image: url("${fill.image}");`, `background-size: ${size};`, ...clip];
+        }
+
+        const stops = window.TextLayout.getSortedStops(fill)
+            .map(stop => `${stop.color} ${CssExporter.round(stop.offset)}%`)
+            .join(', ');
+        const gradient = fill.type === 'radial'
+            ? `radial-gradient(circle farthest-corner, ${stops})`
+            : `linear-gradient(${CssExporter.round(fill.angle)}deg, ${stops})`;
+
+        return [`background-image: ${gradient};`, ...clip];
+    }
+
+    // Opacity, shadows, blur and outline for the ones in use. Text strokes are centered on
+    // the glyph edges and drawn over the fill like on the canvas. Text shadows would cover a
+    // gradient fill clipped to the text, so with one the element's shadows become drop-shadow
+    // filters instead, which also shadow the shadows below them.
+    getPaintDeclarations(obj, glyph = false) {
+        const properties = this.getAnimatedProperties(obj);
+        const shadows = this.getShadows(obj);
+        const declarations = [];
+        const filters = [];
+
+        if (properties.includes('opacity')) declarations.push('opacity: var(--opacity);');
+        if (shadows.length > 0 && !glyph && window.TextLayout.hasFill(obj)) {
+            filters.push(...shadows.map(shadow => `drop-shadow(${shadow})`));
+        } else if (shadows.length > 0) {
+            declarations.push(`text-shadow: ${shadows.join(', ')};`);
+        }
+        if (properties.includes('blur')) filters.push('blur(var(--blur))');
+        if (filters.length > 0) declarations.push(`filter: ${filters.join(' ')};`);
+        if (properties.includes('strokeWidth')) declarations.push('-webkit-text-stroke: var(--stroke-width) var(--stroke-color);');
+
+        return declarations;
+    }
+
+    // Drop shadows and glows of an object. Inner shadows have no CSS equivalent for text
+    // and are left out of exported pages.
+    getShadowEffects(obj) {
+        return (obj.effects || []).filter(effect => effect.type !== 'innerShadow' && window.TextEffects.TYPES[effect.type]);
+    }
+
+    // CSS shadows of the drop shadows and glows from the top of the stack down, the order
+    // text-shadow and drop-shadow filters paint them in
+    getShadows(obj) {
+        return this.getShadowEffects(obj).reverse().map(effect => {
+            const variable = parameter => `var(${CssExporter.getPropertyInfo(window.TextEffects.getProperty(effect.id, parameter)).variable})`;
+            const offset = effect.type === 'outerGlow' ? '0 0' : `${variable('offsetX')} ${variable('offsetY')}`;
+            return `${offset} ${variable('blur')} color-mix(in srgb, ${variable('color')} ${variable('opacity')}, transparent)`;
+        });
+    }
+
+    // The element of a glyph animated object only aligns its glyphs like the canvas does
+    getContainerDeclarations(obj) {
+        const declarations = [
+            `font-family: ${CssExporter.quote(obj.fontFamily)}, Arial, sans-serif;`,
+            'left: 0;',
+            'top: 0;',
+            `text-align: ${obj.textAlign || 'left'};`
+        ];
+
+        if (obj.textAlign === 'center') declarations.push('transform: translateX(-50%);');
+        if (obj.textAlign === 'right') declarations.push('transform: translateX(-100%);');
+
+        // The gradient spans all glyphs like on the canvas
+        return [...declarations, ...this.getFillDeclarations(obj)];
+    }
+
+    getGlyphDeclarations(obj) {
+        return [
+            'display: inline-block;',
+            'position: relative;',
+            'vertical-align: top;',
+            'left: var(--x);',
+            'top: var(--y);',
+            'font-size: var(--font-size);',
+            'color: var(--color);',
+            // Glyphs keep a line height of 1, the margin spaces out the lines they sit on
+            'margin-bottom: calc((var(--line-height) - 1) * var(--font-size));',
+            ...this.getFontDeclarations(obj),
+            ...this.getPaintDeclarations(obj, true)
+        ];
+    }
+
+    // font-variation-settings and font-feature-settings for the axes and features in use,
+    // letter-spacing and word-spacing when they are set
+    getFontDeclarations(obj) {
+        const declarations = [];
+        const properties = this.getAnimatedProperties(obj);
+
+        if (properties.includes('letterSpacing')) declarations.push('letter-spacing: var(--letter-spacing);');
+        if (properties.includes('wordSpacing')) declarations.push('word-spacing: var(--word-spacing);');
+
+        const axes = properties
+            .filter(property => property.startsWith('variableaxis:'))
+            .map(property => `"${property.replace('variableaxis:', '')}" var(--axis-${property.replace('variableaxis:', '')})`);
+        if (axes.length > 0) {
+            declarations.push(`font-variation-settings: ${axes.join(', ')};`);
+        }
+
+        // Animated features take their value from a custom property, the others are fixed
+        const animatedFeatures = properties
+            .filter(property => property.startsWith('feature:'))
+            .map(property => property.replace('feature:', ''));
+        const features = [
+            ...Object.entries(obj.openTypeFeatures || {})
+                .filter(([tag]) => !animatedFeatures.includes(tag))
+                .map(([tag, enabled]) => `"${tag}" ${enabled ? 1 : 0}`),
+            ...animatedFeatures.map(tag => `"${tag}" var(--feature-${tag})`)
+        ];
+        if (features.length > 0) {
+            declarations.push(`font-feature-settings: ${features.join(', ')};`);
+        }
+
+        return declarations;
+    }
+
+    // Keyframes of a property within the work area as { offset, value, curve, hold } entries,
+    // or null when the property doesn't change. Offsets run from 0 to 1 over the work area
+    // and segments cut by its edges get the matching part of their curve.
+    getTrack(obj, property) {
+        const keyframes = obj.keyframes[property] || [];
+        if (keyframes.length < 2) return null;
+
+        const { start, end } = this.app.getWorkArea();
+        const length = end - start + 1;
+        const frames = [
+            start,
+            ...keyframes.map(keyframe => keyframe.frame).filter(frame => frame > start && frame < end + 1),
+            end + 1
+        ];
+
+        return frames.map((frame, index) => {
+            const entry = {
+                offset: (frame - start) / length,
+                value: this.app.getPropertyValue(obj, property, frame),
+                curve: null,
+                hold: false
+            };
+
+            const next = frames[index + 1];
+            if (next === undefined) return entry;
+
+            // The segment is shaped by the keyframe at or before it
+            const before = keyframes.filter(keyframe => keyframe.frame <= frame).pop();
+            const after = keyframes.find(keyframe => keyframe.frame >= next);
+            if (before && (before.hold || this.app.isSteppedProperty(property))) {
+                entry.hold = true;
+            } else if (before && after && before.curve && after.frame > before.frame) {
+                const span = after.frame - before.frame;
+                const t0 = (frame - before.frame) / span;
+                const t1 = (next - before.frame) / span;
+
+                // Other easing types keep the part of the segment they cover for createTimingFunction
+                entry.curve = window.Easing.getType(before.curve) === 'bezier'
+                    ? this.splitCurve(before.curve, t0, t1)
+                    : { ...before.curve, from: Math.max(0, t0), to: Math.min(1, t1) };
+            }
+
+            return entry;
+        });
+    }
+
+    // The part of a cubic-bezier timing curve between progress t0 and t1, rescaled to
+    // span 0-1 again. Returns null when that part is flat and linear timing is equivalent.
+    splitCurve(curve, t0, t1) {
+        if (t0 <= 0 && t1 >= 1) return curve;
+
+        const { x1, y1, x2, y2 } = curve;
+        const point = (t) => ({ x: this.app.bezierX(t, x1, x2), y: this.app.bezierY(t, y1, y2) });
+        const derivative = (t) => {
+            const mt = 1 - t;
+            return {
+                x: 3 * mt * mt * x1 + 6 * mt * t * (x2 - x1) + 3 * t * t * (1 - x2),
+                y: 3 * mt * mt * y1 + 6 * mt * t * (y2 - y1) + 3 * t * t * (1 - y2)
+            };
+        };
+
+        const u0 = t0 <= 0 ? 0 : this.app.solveBezierX(t0, x1, x2);
+        const u1 = t1 >= 1 ? 1 : this.app.solveBezierX(t1, x1, x2);
+        const scale = (u1 - u0) / 3;
+
+        const p0 = point(u0);
+        const p3 = point(u1);
+        const d0 = derivative(u0);
+        const d3 = derivative(u1);
+        const width = p3.x - p0.x;
+        const height = p3.y - p0.y;
+
+        if (Math.abs(height) < 1e-6 || width <= 0) return null;
+
+        return {
+            x1: Math.min(1, Math.max(0, d0.x * scale / width)),
+            y1: d0.y * scale / height,
+            x2: Math.min(1, Math.max(0, 1 - d3.x * scale / width)),
+            y2: 1 - d3.y * scale / height
+        };
+    }
+
+    createKeyframesRule(name, track, info) {
+        const steps = track.map((entry, index) => {
+            const lines = [`${info.variable}: ${info.format(entry.value)};`];
+
+            // Timing functions apply to the segment that starts at this step
+            if (index < track.length - 1) {
+                lines.push(`animation-timing-function: ${this.createTimingFunction(entry)};`);
+            }
+
+            return `    ${CssExporter.round(entry.offset * 100)}% {\n${lines.map(line => `        ${line}`).join('\n')}\n    }`;
+        });
+
+        return `@keyframes ${name} {\n${steps.join('\n')}\n}`;
+    }
+
+    createTimingFunction(entry) {
+        if (entry.hold) return 'step-end';
+        if (!entry.curve) return 'linear';
+
+        const curve = entry.curve;
+        const type = window.Easing.getType(curve);
+        if (type === 'bezier') {
+            return `cubic-bezier(${['x1', 'y1', 'x2', 'y2'].map(key => CssExporter.round(curve[key])).join(', ')})`;
+        }
+        if (type === 'steps' && curve.from <= 0 && curve.to >= 1) {
+            return `steps(${curve.steps}, jump-${curve.position})`;
+        }
+
+        // Springs, bounces and elastic curves are sampled into a linear() easing,
+        // rescaled so the covered part of the segment runs from 0 to 1
+        const from = window.Easing.evaluate(curve.from, curve);
+        const to = window.Easing.evaluate(curve.to, curve);
+        if (Math.abs(to - from) < 1e-6) return 'linear';
+
+        const points = Array.from({ length: 41 }, (_, index) => {
+            const t = curve.from + (curve.to - curve.from) * index / 40;
+            return CssExporter.round((window.Easing.evaluate(t, curve) - from) / (to - from));
+        });
+        return `linear(${points.join(', ')})`;
+    }
+
+    // @font-face rules for uploaded fonts that are in use
+    async createFontFaces(inline) {
+        const fontFaceRules = [];
+        const fontFiles = [];
+        const fontNames = new Set(this.app.textObjects.map(obj => obj.fontFamily));
+
+        for (const fontName of fontNames) {
+            const fontInfo = this.app.fonts.get(fontName);
+            if (!fontInfo || !fontInfo.file) continue;
+
+            const fileName = fontInfo.file.name;
+            let url;
+            if (inline) {
+                const serialized = await this.app.fontManager.serializeFont(fontInfo);
+                url = `data:${serialized.mimeType};base64,${serialized.data}`;
+            } else {
+                url = `fonts/${encodeURIComponent(fileName)}`;
+                fontFiles.push({ path: `fonts/${fileName}`, file: fontInfo.file });
+            }
+
+            fontFaceRules.push([
+                '@font-face {',
+                `    font-family: ${CssExporter.quote(fontName)};`,
+                `    src: url("${url}") format("${this.getFontFormat(fileName)}");`,
+                '}'
+            ].join('\n'));
+        }
+
+        return { fontFaceRules, fontFiles };
+    }
+
+    getFontFormat(fileName) {
+        const extension = fileName.split('.').pop().toLowerCase();
+        return { otf: 'opentype', woff: 'woff', woff2: 'woff2' }[extension] || 'truetype';
+    }
+
+    escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+}
+
+// Make CssExporter available globally
+window.CssExporter = CssExporter;
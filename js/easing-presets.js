@@ -0,0 +1,108 @@
+// Built-in and user-defined easing curves offered by the transition editor. User presets
+// are kept in localStorage through AppSettings and can be shared as JSON collections.
+class EasingPresets {
+    static get COLLECTION_FORMAT() {
+        return 'font-animation-easing-presets';
+    }
+
+    static get BUILT_IN() {
+        return [
+            { name: 'Linear', curve: null },
+            { name: 'Ease', curve: { x1: 0.25, y1: 0.1, x2: 0.25, y2: 1 } },
+            { name: 'Ease In', curve: { x1: 0.42, y1: 0, x2: 1, y2: 1 } },
+            { name: 'Ease Out', curve: { x1: 0, y1: 0, x2: 0.58, y2: 1 } },
+            { name: 'Ease In Out', curve: { x1: 0.42, y1: 0, x2: 0.58, y2: 1 } },
+            { name: 'Sine In', curve: { x1: 0.12, y1: 0, x2: 0.39, y2: 0 } },
+            { name: 'Sine Out', curve: { x1: 0.61, y1: 1, x2: 0.88, y2: 1 } },
+            { name: 'Cubic In', curve: { x1: 0.32, y1: 0, x2: 0.67, y2: 0 } },
+            { name: 'Cubic Out', curve: { x1: 0.33, y1: 1, x2: 0.68, y2: 1 } },
+            { name: 'Cubic In Out', curve: { x1: 0.65, y1: 0, x2: 0.35, y2: 1 } },
+            { name: 'Expo In', curve: { x1: 0.7, y1: 0, x2: 0.84, y2: 0 } },
+            { name: 'Expo Out', curve: { x1: 0.16, y1: 1, x2: 0.3, y2: 1 } },
+            { name: 'Expo In Out', curve: { x1: 0.87, y1: 0, x2: 0.13, y2: 1 } },
+            { name: 'Back In', curve: { x1: 0.36, y1: 0, x2: 0.66, y2: -0.56 } },
+            { name: 'Back Out', curve: { x1: 0.34, y1: 1.56, x2: 0.64, y2: 1 } },
+            { name: 'Back In Out', curve: { x1: 0.68, y1: -0.6, x2: 0.32, y2: 1.6 } },
+            { name: 'Spring', curve: { type: 'spring', mass: 1, stiffness: 100, damping: 10 } },
+            { name: 'Soft Spring', curve: { type: 'spring', mass: 1, stiffness: 60, damping: 14 } },
+            { name: 'Bounce', curve: { type: 'bounce', bounces: 3, bounciness: 0.5 } },
+            { name: 'Elastic', curve: { type: 'elastic', amplitude: 1, period: 0.3 } },
+            { name: 'Steps', curve: { type: 'steps', steps: 4, position: 'end' } }
+        ];
+    }
+
+    static getUserPresets() {
+        const presets = window.AppSettings.getValue('easingPresets');
+        return Array.isArray(presets) ? presets : [];
+    }
+
+    static getAll() {
+        return [
+            ...this.BUILT_IN.map(preset => ({ ...preset, builtIn: true })),
+            ...this.getUserPresets().map(preset => ({ ...preset, builtIn: false }))
+        ];
+    }
+
+    // Add a user preset, replacing any user preset with the same name
+    static save(name, curve) {
+        const presets = this.getUserPresets().filter(preset => preset.name !== name);
+        presets.push({ name, curve });
+        return window.AppSettings.set('easingPresets', presets);
+    }
+
+    static remove(name) {
+        return window.AppSettings.set('easingPresets', this.getUserPresets().filter(preset => preset.name !== name));
+    }
+
+    // The user presets as a collection that can be imported elsewhere
+    static exportCollection() {
+        return {
+            format: this.COLLECTION_FORMAT,
+            version: 1,
+            presets: this.getUserPresets()
+        };
+    }
+
+    // Add the valid presets of a collection to the user presets. Returns { added, skipped }
+    // where skipped lists the rejected presets as { path, message } like project validation.
+    static importCollection(data) {
+        if (!data || data.format !== this.COLLECTION_FORMAT || !Array.isArray(data.presets)) {
+            throw new Error('Not an easing preset collection');
+        }
+
+        const presets = this.getUserPresets();
+        const skipped = [];
+        let added = 0;
+
+        data.presets.forEach((preset, index) => {
+            const path = `presets[${index}]`;
+            if (!preset || typeof preset.name !== 'string' || preset.name.trim() === '') {
+                skipped.push({ path, message: 'must have a name' });
+                return;
+            }
+
+            // A null curve is linear
+            const errors = [];
+            if (preset.curve !== null) {
+                window.ProjectSchema.validateCurve(preset.curve, `${path}.curve`, (errorPath, message) => {
+                    errors.push({ path: errorPath, message });
+                });
+            }
+            if (errors.length > 0) {
+                skipped.push(...errors);
+                return;
+            }
+
+            const existing = presets.findIndex(other => other.name === preset.name);
+            if (existing >= 0) presets.splice(existing, 1);
+            presets.push({ name: preset.name, curve: preset.curve });
+            added++;
+        });
+
+        window.AppSettings.set('easingPresets', presets);
+        return { added, skipped };
+    }
+}
+
+// Make EasingPresets available globally
+window.EasingPresets = EasingPresets;
@@ -0,0 +1,132 @@
+// Easing types besides cubic bezier, stored on a keyframe's curve with a type field.
+// Each maps progress between two keyframes (0-1) to eased progress, which may overshoot.
+class Easing {
+    static get TYPES() {
+        return ['bezier', 'spring', 'bounce', 'elastic', 'steps'];
+    }
+
+    // Parameters a new curve of each type starts with
+    static get DEFAULTS() {
+        return {
+            bezier: { x1: 0.25, y1: 0.1, x2: 0.25, y2: 1 },
+            spring: { mass: 1, stiffness: 100, damping: 10 },
+            bounce: { bounces: 3, bounciness: 0.5 },
+            elastic: { amplitude: 1, period: 0.3 },
+            steps: { steps: 4, position: 'end' }
+        };
+    }
+
+    // Longest settle time a spring may take. Beyond it the spring's parameters are too
+    // extreme to sample, e.g. damping so high that the decay rate rounds to zero.
+    static get MAX_SPRING_SETTLE_TIME() {
+        return 1e6;
+    }
+
+    static getType(curve) {
+        return curve.type || 'bezier';
+    }
+
+    // Eased progress for a non-bezier curve, bezier curves are evaluated by the app
+    static evaluate(t, curve) {
+        if (t <= 0) return 0;
+        if (t >= 1) return 1;
+
+        switch (this.getType(curve)) {
+            case 'spring': return this.evaluateSpring(t, curve);
+            case 'bounce': return this.evaluateBounce(t, curve);
+            case 'elastic': return this.evaluateElastic(t, curve);
+            case 'steps': return this.evaluateSteps(t, curve);
+            default: return t;
+        }
+    }
+
+    // Damped harmonic oscillator released at 0 towards 1. The segment between the
+    // keyframes is stretched over the time the spring takes to settle. Springs that
+    // can't be evaluated fall back to linear progress.
+    static evaluateSpring(t, curve) {
+        const position = this.createSpring(curve);
+        const settleTime = this.getSpringSettleTime(curve, position);
+        const value = settleTime === null ? NaN : position(t * settleTime);
+        return Number.isFinite(value) ? value : t;
+    }
+
+    static createSpring({ mass, stiffness, damping }) {
+        const omega = Math.sqrt(stiffness / mass);
+        const zeta = damping / (2 * Math.sqrt(stiffness * mass));
+
+        if (zeta < 1) {
+            const omegaD = omega * Math.sqrt(1 - zeta * zeta);
+            return (time) => 1 - Math.exp(-zeta * omega * time) *
+                (Math.cos(omegaD * time) + (zeta * omega / omegaD) * Math.sin(omegaD * time));
+        }
+        if (zeta === 1) {
+            return (time) => 1 - Math.exp(-omega * time) * (1 + omega * time);
+        }
+
+        const root = Math.sqrt(zeta * zeta - 1);
+        const r1 = -omega * (zeta - root);
+        const r2 = -omega * (zeta + root);
+        return (time) => 1 - (r2 * Math.exp(r1 * time) - r1 * Math.exp(r2 * time)) / (r2 - r1);
+    }
+
+    // Time until the spring stays within 0.1% of its target, null when it doesn't settle
+    // within MAX_SPRING_SETTLE_TIME
+    static getSpringSettleTime({ mass, stiffness, damping }, position) {
+        const omega = Math.sqrt(stiffness / mass);
+        const zeta = damping / (2 * Math.sqrt(stiffness * mass));
+        const decay = zeta < 1 ? zeta * omega : omega * (zeta - Math.sqrt(zeta * zeta - 1));
+        let time = Math.log(1000) / decay;
+
+        // Critically and overdamped springs approach the target slower than their decay rate
+        const maxTime = this.MAX_SPRING_SETTLE_TIME;
+        while (zeta >= 1 && time <= maxTime && Math.abs(1 - position(time)) > 0.001) {
+            time *= 1.1;
+        }
+
+        return time > 0 && time <= maxTime ? time : null;
+    }
+
+    // A ball dropped onto the target that bounces back up with each bounce reaching
+    // bounciness squared of the previous height
+    static evaluateBounce(t, { bounces, bounciness }) {
+        // Each bounce takes bounciness times as long as the previous one
+        const durations = [1];
+        for (let i = 1; i <= bounces; i++) {
+            durations.push(2 * Math.pow(bounciness, i));
+        }
+        const total = durations.reduce((sum, duration) => sum + duration, 0);
+
+        let time = t * total;
+        if (time < 1) {
+            return time * time;
+        }
+        time -= 1;
+
+        for (let i = 1; i < durations.length; i++) {
+            if (time < durations[i]) {
+                const half = durations[i] / 2;
+                const height = half * half;
+                const offset = time - half;
+                return 1 - (height - offset * offset);
+            }
+            time -= durations[i];
+        }
+
+        return 1;
+    }
+
+    // Overshoots and oscillates around the target with a decaying amplitude
+    static evaluateElastic(t, { amplitude, period }) {
+        const a = Math.max(1, amplitude);
+        const shift = period / (2 * Math.PI) * Math.asin(1 / a);
+        return 1 + a * Math.pow(2, -10 * t) * Math.sin((t - shift) * 2 * Math.PI / period);
+    }
+
+    // Jumps in equal steps, at the end of each interval or at its start
+    static evaluateSteps(t, { steps, position }) {
+        return position === 'start' ? Math.ceil(t * steps) / steps : Math.floor(t * steps) / steps;
+    }
+}
+
+// Make Easing available globally
+window.Easing = Easing;
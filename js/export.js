@@ -6,6 +6,7 @@ class ExportManager {
         this.exportCancelled = false;
         this.supportedFormats = this.detectSupportedFormats();
         this.lastSelectedFormat = null; // Remember last selected format for the session
+        this.transparentBackground = false; // Skip the background fill for the current export
     }
 
     cancelExport() {
@@ -54,6 +55,25 @@ class ExportManager {
             });
         }
 
+        // GIF is encoded in JavaScript and works in every browser
+        if (window.GifEncoder) {
+            formats['image/gif'] = true;
+        }
+
+        // PNG frames are always available, zipped when JSZip is loaded
+        formats['image/png'] = true;
+
+        // Lottie and HTML are built from keyframes rather than rendered frames
+        if (window.LottieExporter) {
+            formats['application/json'] = true;
+        }
+        if (window.CssExporter) {
+            formats['text/html'] = true;
+        }
+        if (window.SvgExporter) {
+            formats['image/svg+xml'] = true;
+        }
+
         return formats;
     }
 
@@ -65,6 +85,8 @@ class ExportManager {
             return;
         }
 
+        let selectedFormat = null;
+
         try {
             // Reset cancellation flag
             this.exportCancelled = false;
@@ -79,21 +101,43 @@ class ExportManager {
             }
 
             // Show format selection dialog
-            const selectedFormat = await this.showFormatSelectionDialog();
+            selectedFormat = await this.showFormatSelectionDialog();
             if (!selectedFormat) {
                 return; // User cancelled
             }
 
             this.isExporting = true;
+            this.transparentBackground = this.getTransparentBackground(selectedFormat);
+
+            // Frames are rendered without waiting for redraws, so pattern images must be ready
+            await window.TextLayout.loadPatternImages(this.app.textObjects);
             if (window.UIManager) {
                 window.UIManager.createNotification('Starting export...', 'info');
             }
 
-            // Choose export method based on capabilities
-            if (this.supportsVideoRecording()) {
-                await this.exportWithVideoRecording(selectedFormat);
+            // Choose export method based on format and capabilities
+            if (selectedFormat === 'image/png') {
+                await this.exportWithFrameSequence();
+            } else if (selectedFormat === 'application/json') {
+                this.exportWithLottie();
+            } else if (selectedFormat === 'text/html') {
+                await this.exportWithCss();
+            } else if (selectedFormat === 'image/svg+xml') {
+                await this.exportWithSvg();
+            } else if (selectedFormat === 'image/gif') {
+                await this.exportWithGifEncoding(this.getGifOptions());
+
+                if (!this.exportCancelled && window.UIManager) {
+                    window.UIManager.createNotification('GIF export completed successfully!', 'success');
+                }
+            } else if (this.supportsVideoRecording()) {
+                // Prefer frame-accurate WebCodecs encoding, fall back to real-time recording
+                const encoded = await this.exportWithWebCodecs(selectedFormat);
+                if (!encoded && !this.exportCancelled) {
+                    await this.exportWithVideoRecording(selectedFormat);
+                }
 
-                if (window.UIManager) {
+                if (!this.exportCancelled && window.UIManager) {
                     window.UIManager.createNotification('Video export completed successfully!', 'success');
                 }
             } else {
@@ -126,7 +170,7 @@ class ExportManager {
                 window.UIManager.createNotification('Export failed: ' + errorMessage, 'error');
 
                 // Offer to try frame sequence export as fallback
-                if (this.supportsVideoRecording() && !error.message?.includes('frame sequence')) {
+                if (this.supportsVideoRecording() && selectedFormat?.startsWith('video/') && !error.message?.includes('frame sequence')) {
                     setTimeout(() => {
                         if (confirm('Video export failed. Would you like to try exporting as image frames instead?')) {
                             this.isExporting = false;
@@ -140,16 +184,27 @@ class ExportManager {
             }
         } finally {
             this.isExporting = false;
+            this.transparentBackground = false;
             if (window.UIManager) {
                 window.UIManager.showExportProgress(1);
             }
         }
     }
 
+    // Formats that can carry an alpha channel
+    formatSupportsAlpha(format) {
+        return ['image/png', 'application/json', 'text/html', 'image/svg+xml'].includes(format) || (!!format && format.startsWith('video/webm'));
+    }
+
+    getTransparentBackground(selectedFormat) {
+        const checkbox = document.getElementById('exportTransparent');
+        return !!(checkbox && checkbox.checked && this.formatSupportsAlpha(selectedFormat));
+    }
+
     supportsVideoRecording() {
         return typeof MediaRecorder !== 'undefined' &&
             HTMLCanvasElement.prototype.captureStream &&
-            Object.keys(this.supportedFormats).length > 0;
+            Object.keys(this.supportedFormats).some(format => format.startsWith('video/'));
     }
 
     async showFormatSelectionDialog() {
@@ -161,6 +216,18 @@ class ExportManager {
             const confirmButton = document.getElementById('confirmExport');
             const cancelButton = document.getElementById('cancelExport');
             const closeButton = modal.querySelector('.close');
+            const gifOptions = document.getElementById('gifOptions');
+            const svgOptions = document.getElementById('svgOptions');
+            const transparentCheckbox = document.getElementById('exportTransparent');
+            const transparencyHint = document.getElementById('transparencyHint');
+
+            // Restore the last used transparency preference
+            if (transparentCheckbox) {
+                transparentCheckbox.checked = !!window.AppSettings?.getValue('exportTransparentBackground');
+                transparentCheckbox.onchange = () => {
+                    window.AppSettings?.set('exportTransparentBackground', transparentCheckbox.checked);
+                };
+            }
 
             // Clear previous options
             formatOptions.innerHTML = '';
@@ -182,6 +249,26 @@ class ExportManager {
                 'video/mp4': {
                     name: 'MP4',
                     description: 'Universal compatibility'
+                },
+                'image/gif': {
+                    name: 'Animated GIF',
+                    description: 'Frame-accurate, up to 256 colors, plays everywhere'
+                },
+                'image/png': {
+                    name: 'PNG Sequence',
+                    description: 'Lossless frames in a ZIP archive, keeps transparency'
+                },
+                'application/json': {
+                    name: 'Lottie JSON',
+                    description: 'Vector animation for web and app players, fonts are not embedded'
+                },
+                'text/html': {
+                    name: 'HTML + CSS',
+                    description: 'Live text animated with CSS keyframes, variable axes and fonts included'
+                },
+                'image/svg+xml': {
+                    name: 'Animated SVG',
+                    description: 'Single file with live text, optionally with embedded fonts'
                 }
             };
 
@@ -229,6 +316,21 @@ class ExportManager {
                     radio.checked = true;
                     selectedFormat = format;
                     confirmButton.disabled = false;
+
+                    if (gifOptions) {
+                        gifOptions.style.display = format === 'image/gif' ? 'block' : 'none';
+                    }
+                    if (svgOptions) {
+                        svgOptions.style.display = format === 'image/svg+xml' ? 'block' : 'none';
+                    }
+
+                    if (transparentCheckbox) {
+                        const supportsAlpha = this.formatSupportsAlpha(format);
+                        transparentCheckbox.disabled = !supportsAlpha;
+                        if (transparencyHint) {
+                            transparencyHint.textContent = supportsAlpha ? '' : 'Not supported by this format';
+                        }
+                    }
                 });
 
                 formatOptions.appendChild(optionDiv);
@@ -354,6 +456,181 @@ class ExportManager {
 
 
 
+    // Bitrate scaled by canvas area relative to 1080p
+    getVideoBitrate(width, height, selectedFormat) {
+        const canvasArea = width * height;
+        const baseArea = 1920 * 1080;
+        const areaRatio = Math.min(canvasArea / baseArea, 4);
+        const baseBitrate = selectedFormat.includes('mp4') ? 12000000 : 10000000;
+        const bitrate = Math.floor(baseBitrate * Math.sqrt(areaRatio));
+        return Math.min(bitrate, 20000000); // Conservative cap for stability
+    }
+
+    supportsWebCodecs() {
+        return typeof VideoEncoder !== 'undefined' &&
+            typeof VideoFrame !== 'undefined' &&
+            !!window.WebMMuxer && !!window.MP4Muxer;
+    }
+
+    // Find an encoder configuration for the selected format, or null if WebCodecs can't encode it
+    async getWebCodecsConfig(selectedFormat, width, height, alpha = false) {
+        if (!this.supportsWebCodecs()) {
+            return null;
+        }
+
+        const isMP4 = selectedFormat.includes('mp4');
+        let codecs;
+        if (isMP4) {
+            codecs = ['avc1.640033', 'avc1.4d0033', 'avc1.42e033'];
+        } else if (selectedFormat.includes('vp8')) {
+            codecs = ['vp8'];
+        } else {
+            codecs = ['vp09.00.51.08', 'vp09.00.41.08', 'vp09.00.10.08'];
+        }
+
+        for (const codec of codecs) {
+            const config = {
+                codec: codec,
+                width: width,
+                height: height,
+                bitrate: this.getVideoBitrate(width, height, selectedFormat),
+                framerate: this.app.frameRate,
+                latencyMode: 'quality'
+            };
+            if (isMP4) {
+                // Length-prefixed NAL units with an avcC description, as MP4 expects
+                config.avc = { format: 'avc' };
+            }
+            if (alpha) {
+                config.alpha = 'keep';
+            }
+
+            try {
+                const support = await VideoEncoder.isConfigSupported(config);
+                if (support.supported) {
+                    return config;
+                }
+            } catch (error) {
+                console.warn(`WebCodecs config check failed for ${codec}:`, error);
+            }
+        }
+
+        return null;
+    }
+
+    // Encode exactly one video frame per timeline frame with explicit timestamps.
+    // Returns false when WebCodecs can't handle the format so the caller can fall back.
+    async exportWithWebCodecs(selectedFormat) {
+        const width = this.app.canvasWidth;
+        const height = this.app.canvasHeight;
+        let config = await this.getWebCodecsConfig(selectedFormat, width, height, this.transparentBackground);
+
+        if (!config && this.transparentBackground) {
+            if (window.UIManager) {
+                window.UIManager.createNotification('This browser cannot encode video with transparency. Exporting with background color.', 'warning');
+            }
+            this.transparentBackground = false;
+            config = await this.getWebCodecsConfig(selectedFormat, width, height);
+        }
+
+        if (!config) {
+            console.log('WebCodecs encoding not available for', selectedFormat, '- falling back to MediaRecorder');
+            return false;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        // Add canvas to DOM temporarily for CSS styles to work (needed for variable fonts)
+        canvas.style.position = 'absolute';
+        canvas.style.left = '-9999px';
+        canvas.style.top = '-9999px';
+        canvas.style.visibility = 'hidden';
+        document.body.appendChild(canvas);
+
+        const context = canvas.getContext('2d');
+        context.imageSmoothingEnabled = true;
+        context.imageSmoothingQuality = 'high';
+        context.textBaseline = 'top';
+        context.textAlign = 'left';
+
+        const isMP4 = selectedFormat.includes('mp4');
+        const muxerOptions = {
+            width: width,
+            height: height,
+            frameRate: this.app.frameRate,
+            codec: config.codec,
+            alpha: config.alpha === 'keep'
+        };
+        const muxer = isMP4 ? new window.MP4Muxer(muxerOptions) : new window.WebMMuxer(muxerOptions);
+
+        let encoderError = null;
+        const encoder = new VideoEncoder({
+            output: (chunk, metadata) => muxer.addChunk(chunk, metadata),
+            error: (error) => {
+                encoderError = error;
+            }
+        });
+
+        try {
+            encoder.configure(config);
+
+            const { start, end } = this.app.getWorkArea();
+            const totalFrames = end - start + 1;
+            const frameDuration = 1e6 / this.app.frameRate; // microseconds
+            const keyframeInterval = Math.max(1, Math.round(this.app.frameRate * 2));
+
+            console.log(`WebCodecs export: ${config.codec}, ${width}x${height}, ${(config.bitrate / 1000000).toFixed(1)}Mbps, ${this.app.frameRate}fps`);
+
+            // Timestamps start at zero at the work area in point
+            for (let frame = 0; frame < totalFrames; frame++) {
+                if (this.exportCancelled) {
+                    return true;
+                }
+                if (encoderError) {
+                    throw encoderError;
+                }
+
+                this.renderFrame(start + frame, canvas, context);
+
+                const videoFrame = new VideoFrame(canvas, {
+                    alpha: config.alpha === 'keep' ? 'keep' : 'discard',
+                    timestamp: Math.round(frame * frameDuration),
+                    duration: Math.round((frame + 1) * frameDuration) - Math.round(frame * frameDuration)
+                });
+                encoder.encode(videoFrame, { keyFrame: frame % keyframeInterval === 0 });
+                videoFrame.close();
+
+                if (window.UIManager) {
+                    window.UIManager.showExportProgress((frame + 1) / totalFrames, this);
+                }
+
+                // Let the encoder catch up instead of queueing every frame in memory
+                while (encoder.encodeQueueSize > 2 && !encoderError) {
+                    await this.sleep(1);
+                }
+                await this.sleep(0);
+            }
+
+            await encoder.flush();
+            if (encoderError) {
+                throw encoderError;
+            }
+
+            const extension = isMP4 ? 'mp4' : 'webm';
+            this.downloadBlob(muxer.finalize(), `animation.${extension}`);
+            return true;
+        } finally {
+            if (encoder.state !== 'closed') {
+                encoder.close();
+            }
+            if (canvas.parentNode) {
+                document.body.removeChild(canvas);
+            }
+        }
+    }
+
     async exportWithFrameSequence() {
         if (window.UIManager) {
             window.UIManager.createNotification('Exporting as image sequence...', 'info');
@@ -381,8 +658,13 @@ class ExportManager {
         context.textBaseline = 'top';
         context.textAlign = 'left';
 
-        // Render all frames
-        for (let frame = 0; frame < this.app.totalFrames; frame++) {
+        // Render all frames in the work area
+        const { start, end } = this.app.getWorkArea();
+        for (let frame = start; frame <= end; frame++) {
+            if (this.exportCancelled) {
+                break;
+            }
+
             this.renderFrame(frame, canvas, context);
 
             // Convert to data URL
@@ -393,7 +675,7 @@ class ExportManager {
             });
 
             // Update progress
-            const progress = frame / this.app.totalFrames;
+            const progress = (frame - start) / (end - start + 1);
             if (window.UIManager) {
                 window.UIManager.showExportProgress(progress);
             }
@@ -418,11 +700,176 @@ class ExportManager {
         }
     }
 
+    // Lottie needs no rendering, the keyframes are converted directly
+    exportWithLottie() {
+        const exporter = new window.LottieExporter(this.app);
+        const { animation, issues } = exporter.export({ transparentBackground: this.transparentBackground });
+
+        const blob = new Blob([JSON.stringify(animation)], { type: 'application/json' });
+        this.downloadBlob(blob, 'animation.lottie.json');
+
+        if (issues.length > 0) {
+            console.warn('Lottie export could not represent:', issues);
+            if (window.UIManager) {
+                window.UIManager.createNotification(
+                    `Lottie export: ${issues.length} item(s) could not be represented: ${window.ProjectSchema.formatIssues(issues)}`,
+                    'warning'
+                );
+            }
+        }
+    }
+
+    // HTML page with CSS keyframes, zipped with its stylesheet and fonts when JSZip is loaded,
+    // otherwise a single file with the fonts inlined
+    async exportWithCss() {
+        const exporter = new window.CssExporter(this.app);
+
+        if (typeof JSZip !== 'undefined') {
+            const { html, css, fontFiles } = await exporter.export({ transparentBackground: this.transparentBackground });
+
+            const zip = new JSZip();
+            const folder = zip.folder('animation_html');
+            folder.file('index.html', html);
+            folder.file('animation.css', css);
+            fontFiles.forEach(({ path, file }) => folder.file(path, file));
+
+            const zipBlob = await zip.generateAsync({
+                type: 'blob',
+                compression: 'DEFLATE',
+                compressionOptions: { level: 6 }
+            });
+            this.downloadBlob(zipBlob, 'animation_html.zip');
+        } else {
+            const { html } = await exporter.export({ transparentBackground: this.transparentBackground, inlineFonts: true });
+            this.downloadBlob(new Blob([html], { type: 'text/html' }), 'animation.html');
+        }
+    }
+
+    async exportWithSvg() {
+        const embedFontsCheckbox = document.getElementById('svgEmbedFonts');
+        const exporter = new window.SvgExporter(this.app);
+        const svg = await exporter.export({
+            transparentBackground: this.transparentBackground,
+            embedFonts: !embedFontsCheckbox || embedFontsCheckbox.checked
+        });
+
+        this.downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), 'animation.svg');
+    }
+
+    getGifOptions() {
+        const dithering = document.getElementById('gifDithering');
+        const colors = document.getElementById('gifColors');
+        const loopCount = document.getElementById('gifLoopCount');
+
+        return {
+            dithering: dithering ? dithering.value : 'floyd-steinberg',
+            maxColors: colors ? parseInt(colors.value) || 256 : 256,
+            loopCount: loopCount ? Math.max(0, parseInt(loopCount.value) || 0) : 0
+        };
+    }
+
+    // Deterministic GIF export: every timeline frame is rendered and encoded in order
+    async exportWithGifEncoding(options = {}) {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.app.canvasWidth;
+        canvas.height = this.app.canvasHeight;
+
+        // Add canvas to DOM temporarily for CSS styles to work (needed for variable fonts)
+        canvas.style.position = 'absolute';
+        canvas.style.left = '-9999px';
+        canvas.style.top = '-9999px';
+        canvas.style.visibility = 'hidden';
+        document.body.appendChild(canvas);
+
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.imageSmoothingEnabled = true;
+        context.imageSmoothingQuality = 'high';
+        context.textBaseline = 'top';
+        context.textAlign = 'left';
+
+        const { start, end } = this.app.getWorkArea();
+        const totalFrames = end - start + 1;
+
+        try {
+            // Pass 1: build a global palette from a spread of frames so colors don't flicker
+            const paletteFrames = Math.min(totalFrames, 12);
+            const pixelStep = Math.max(1, Math.floor((canvas.width * canvas.height) / 20000));
+            const sampleChunks = [];
+
+            for (let i = 0; i < paletteFrames; i++) {
+                const frame = start + Math.floor(i * totalFrames / paletteFrames);
+                this.renderFrame(frame, canvas, context);
+                sampleChunks.push(window.GifEncoder.samplePixels(context.getImageData(0, 0, canvas.width, canvas.height), pixelStep));
+            }
+
+            const samples = new Uint8Array(sampleChunks.reduce((sum, chunk) => sum + chunk.length, 0));
+            let offset = 0;
+            sampleChunks.forEach(chunk => {
+                samples.set(chunk, offset);
+                offset += chunk.length;
+            });
+
+            const palette = window.GifEncoder.buildPalette(samples, options.maxColors || 256);
+            const encoder = new window.GifEncoder(canvas.width, canvas.height, {
+                palette: palette,
+                loopCount: options.loopCount ?? 0
+            });
+
+            // GIF delays are in hundredths of a second and browsers play delays below 2 as 10, so
+            // frames less than 2 apart are dropped. Times are rounded from the start of the work
+            // area to keep the total duration exact.
+            const minDelay = 2;
+            const frameTime = (frame) => Math.round(frame * 100 / this.app.frameRate);
+            const frames = [];
+            for (let frame = 0; frame < totalFrames; frame++) {
+                if (frames.length === 0 || frameTime(frame) - frameTime(frames[frames.length - 1]) >= minDelay) {
+                    frames.push(frame);
+                }
+            }
+            while (frames.length > 1 && frameTime(totalFrames) - frameTime(frames[frames.length - 1]) < minDelay) {
+                frames.pop();
+            }
+            const frameDelay = (index) => frameTime(index + 1 < frames.length ? frames[index + 1] : totalFrames) - frameTime(frames[index]);
+
+            if (frames.length < totalFrames && window.UIManager) {
+                const frameRate = Math.round(frames.length * this.app.frameRate / totalFrames);
+                window.UIManager.createNotification(`GIFs can't play faster than 50 fps, exporting ${frames.length} of ${totalFrames} frames (about ${frameRate} fps)`, 'warning');
+            }
+
+            // Pass 2: render, quantize and encode the kept frames
+            for (let index = 0; index < frames.length; index++) {
+                if (this.exportCancelled) {
+                    return;
+                }
+
+                this.renderFrame(start + frames[index], canvas, context);
+                const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+                const indexed = window.GifEncoder.indexPixels(imageData, palette, options.dithering);
+                encoder.addFrame(indexed, frameDelay(index));
+
+                if (window.UIManager) {
+                    window.UIManager.showExportProgress((index + 1) / frames.length, this);
+                }
+
+                // Yield to keep the UI responsive
+                await this.sleep(0);
+            }
+
+            this.downloadBlob(encoder.finish(), 'animation.gif');
+        } finally {
+            if (canvas.parentNode) {
+                document.body.removeChild(canvas);
+            }
+        }
+    }
+
     renderFrame(frame, canvas, context) {
         // Clear canvas with background color (use logical dimensions since context is scaled)
         context.clearRect(0, 0, this.app.canvasWidth, this.app.canvasHeight);
-        context.fillStyle = this.app.canvasBackground;
-        context.fillRect(0, 0, this.app.canvasWidth, this.app.canvasHeight);
+        if (!this.transparentBackground) {
+            context.fillStyle = this.app.canvasBackground;
+            context.fillRect(0, 0, this.app.canvasWidth, this.app.canvasHeight);
+        }
 
         // Render all text objects at this frame
         this.app.textObjects.forEach(obj => {
@@ -463,29 +910,41 @@ class ExportManager {
             context.translate(-centerX, -centerY);
         }
 
-        // Apply font settings with variable axes and features
+        const measure = (text, runProps) => {
+            this.applyTextFont(textObject, runProps, context);
+            const width = context.measureText(text).width;
+            this.cleanupCanvasStyles(context);
+            return width;
+        };
+
+        window.TextLayout.getRuns(this.app, textObject, frame, measure).forEach(run => {
+            this.applyTextFont(textObject, run.props, context);
+
+            window.TextLayout.applyPaint(context, run.props, run.bounds);
+            context.textBaseline = 'top';
+            context.textAlign = run.textAlign;
+
+            // Render text with antialiasing
+            context.textRenderingOptimization = 'optimizeQuality';
+            window.TextEffects.drawRun(context, run);
+
+            // Clean up canvas styles if variable fonts or features were applied
+            this.cleanupCanvasStyles(context);
+        });
+
+        context.restore();
+    }
+
+    // Apply font settings with variable axes and features
+    applyTextFont(textObject, props, context) {
         if (this.app.fonts.has(textObject.fontFamily)) {
-            console.log('Export: Font available, applying font features for', textObject.fontFamily);
             // Apply variable font settings if available
             this.applyFontFeatures(textObject, props, context);
         } else {
-            console.log('Export: Font not available, using fallback for', textObject.fontFamily);
             // Use fallback font when the desired font is not available
             context.font = `${props.fontSize}px Arial, sans-serif`;
         }
-
-        context.fillStyle = props.color;
-        context.textBaseline = 'top';
-        context.textAlign = textObject.textAlign || 'left';
-
-        // Render text with antialiasing
-        context.textRenderingOptimization = 'optimizeQuality';
-        context.fillText(textObject.text, props.x, props.y);
-
-        // Clean up canvas styles if variable fonts or features were applied
-        this.cleanupCanvasStyles(context);
-
-        context.restore();
+        window.TextLayout.applySpacing(context, props);
     }
 
     cleanupCanvasStyles(context) {
@@ -625,6 +1084,8 @@ class ExportManager {
 
     async renderAnimationToCanvas(canvas, context, onComplete) {
         const frameInterval = 1000 / this.app.frameRate;
+        const workArea = this.app.getWorkArea();
+        const totalFrames = workArea.end - workArea.start + 1;
         let frame = 0;
         let startTime = performance.now();
 
@@ -638,33 +1099,27 @@ class ExportManager {
         }
 
         const renderNextFrame = (currentTime) => {
-            if (frame >= this.app.totalFrames) {
+            if (frame >= totalFrames) {
                 const actualDuration = (performance.now() - startTime) / 1000;
-                const expectedDuration = this.app.totalFrames / this.app.frameRate;
+                const expectedDuration = totalFrames / this.app.frameRate;
                 console.log(`Animation rendering complete. Total frames: ${frame}`);
                 console.log(`Actual duration: ${actualDuration.toFixed(2)}s, Expected: ${expectedDuration.toFixed(2)}s`);
                 onComplete();
                 return;
             }
 
-            // Clear canvas before rendering each frame
-            context.clearRect(0, 0, canvas.width, canvas.height);
-
-            // Set background
-            context.fillStyle = this.app.canvasBackground;
-            context.fillRect(0, 0, canvas.width, canvas.height);
-
-            this.renderFrame(frame, canvas, context);
+            // renderFrame clears the canvas and draws the background
+            this.renderFrame(workArea.start + frame, canvas, context);
             frame++;
 
             // Update progress
-            const progress = frame / this.app.totalFrames;
+            const progress = frame / totalFrames;
             if (window.UIManager) {
                 window.UIManager.showExportProgress(progress);
             }
 
             // Schedule next frame
-            if (frame < this.app.totalFrames) {
+            if (frame < totalFrames) {
                 const nextFrameTime = startTime + (frame * frameInterval);
                 const delay = Math.max(0, nextFrameTime - performance.now());
 
@@ -701,12 +1156,14 @@ class ExportManager {
 
         // Add metadata file
         const metadata = {
-            totalFrames: this.app.totalFrames,
+            totalFrames: frames.length,
+            startFrame: frames.length > 0 ? frames[0].frame : 0,
             frameRate: this.app.frameRate,
             duration: this.app.duration,
             canvasWidth: this.app.canvasWidth,
             canvasHeight: this.app.canvasHeight,
             canvasBackground: this.app.canvasBackground,
+            transparentBackground: this.transparentBackground,
             exported: new Date().toISOString()
         };
 
@@ -844,16 +1301,11 @@ class ExportManager {
                 // Create MediaRecorder with the original canvas
                 const stream = canvas.captureStream(0); // 0 = manual frame capture
 
-                // Calculate appropriate bitrate
-                const canvasArea = canvas.width * canvas.height;
-                const baseArea = 1920 * 1080;
-                const areaRatio = Math.min(canvasArea / baseArea, 4);
-                const baseBitrate = selectedFormat.includes('mp4') ? 12000000 : 10000000;
-                const bitrate = Math.floor(baseBitrate * Math.sqrt(areaRatio));
+                const bitrate = this.getVideoBitrate(canvas.width, canvas.height, selectedFormat);
 
                 const mediaRecorderOptions = {
                     mimeType: selectedFormat,
-                    videoBitsPerSecond: Math.min(bitrate, 20000000) // Conservative cap for stability
+                    videoBitsPerSecond: bitrate
                 };
 
                 console.log(`MediaRecorder settings: ${canvas.width}x${canvas.height}, ${(bitrate / 1000000).toFixed(1)}Mbps, ${this.app.frameRate}fps`);
@@ -893,7 +1345,8 @@ class ExportManager {
                 console.log('MediaRecorder started, beginning frame rendering...');
 
                 // Render frames with precise timing
-                const totalFrames = this.app.totalFrames;
+                const { start, end } = this.app.getWorkArea();
+                const totalFrames = end - start + 1;
                 const frameDuration = 1000 / this.app.frameRate; // Duration per frame in ms
 
                 for (let frameIndex = 0; frameIndex < totalFrames; frameIndex++) {
@@ -908,10 +1361,7 @@ class ExportManager {
                     }
 
                     // Clear and render frame
-                    context.clearRect(0, 0, canvas.width, canvas.height);
-                    context.fillStyle = this.app.canvasBackground;
-                    context.fillRect(0, 0, canvas.width, canvas.height);
-                    this.renderFrame(frameIndex, canvas, context);
+                    this.renderFrame(start + frameIndex, canvas, context);
 
                     // Capture this frame in the stream (this is the key!)
                     const track = stream.getVideoTracks()[0];
@@ -952,6 +1402,8 @@ class ExportManager {
         return {
             videoRecording: this.supportsVideoRecording(),
             supportedFormats: Object.keys(this.supportedFormats),
+            webCodecs: this.supportsWebCodecs(),
+            canExportGif: !!this.supportedFormats['image/gif'],
             canExportFrameSequence: true,
             canExportZip: typeof JSZip !== 'undefined'
         };
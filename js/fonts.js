@@ -99,6 +99,78 @@ class FontManager {
         });
     }
 
+    // Serialize a loaded font's binary for embedding into a project file
+    async serializeFont(fontInfo) {
+        // Font files never change once loaded, so the encoding is cached for autosave
+        if (fontInfo.serialized) {
+            return fontInfo.serialized;
+        }
+
+        const arrayBuffer = await fontInfo.file.arrayBuffer();
+        const bytes = new Uint8Array(arrayBuffer);
+
+        // Encode in chunks to avoid call stack limits on large font files
+        let binary = '';
+        const chunkSize = 0x8000;
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+
+        fontInfo.serialized = {
+            fileName: fontInfo.file.name,
+            mimeType: this.getFontMimeType(fontInfo.file.name),
+            data: btoa(binary)
+        };
+
+        return fontInfo.serialized;
+    }
+
+    // Build the embeddedFonts map for all currently loaded fonts
+    async serializeFonts() {
+        const embeddedFonts = {};
+
+        for (const [fontName, fontInfo] of this.app.fonts) {
+            if (!fontInfo.file) continue;
+            embeddedFonts[fontName] = await this.serializeFont(fontInfo);
+        }
+
+        return embeddedFonts;
+    }
+
+    // Register fonts embedded in a project file, skipping fonts that are already loaded
+    async loadEmbeddedFonts(embeddedFonts) {
+        const loadedFonts = [];
+
+        for (const [fontName, entry] of Object.entries(embeddedFonts || {})) {
+            if (this.app.fonts.has(fontName)) continue;
+
+            try {
+                const binary = atob(entry.data);
+                const bytes = new Uint8Array(binary.length);
+                for (let i = 0; i < binary.length; i++) {
+                    bytes[i] = binary.charCodeAt(i);
+                }
+
+                const fileName = entry.fileName || `${fontName}.otf`;
+                const file = new File([bytes], fileName, { type: entry.mimeType || this.getFontMimeType(fileName) });
+                const fontInfo = await this.loadFont(file);
+                loadedFonts.push(fontInfo.name);
+            } catch (error) {
+                console.error(`Error loading embedded font ${fontName}:`, error);
+                if (window.UIManager) {
+                    window.UIManager.createNotification(`Error loading embedded font ${fontName}: ${error.message}`, 'error');
+                }
+            }
+        }
+
+        if (loadedFonts.length > 0) {
+            this.updateFontList();
+            this.updateFontSelect();
+        }
+
+        return loadedFonts;
+    }
+
     getFontFamilyName(font) {
         // Try to get the best font family name from the name table
         const names = font.names;
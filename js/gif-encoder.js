@@ -0,0 +1,336 @@
+// Animated GIF encoding with palette quantization and dithering
+class GifEncoder {
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.palette = options.palette || [[0, 0, 0], [255, 255, 255]];
+        // Number of times the animation plays, 0 = forever
+        this.loopCount = options.loopCount ?? 0;
+        this.bytes = [];
+        this.chunks = [];
+
+        // Color tables must have a power of two size, at least 2 entries
+        this.colorTableBits = Math.max(1, Math.ceil(Math.log2(this.palette.length)));
+
+        this.writeHeader();
+    }
+
+    writeHeader() {
+        this.writeString('GIF89a');
+
+        // Logical screen descriptor with global color table
+        this.writeUint16(this.width);
+        this.writeUint16(this.height);
+        this.bytes.push(0x80 | ((this.colorTableBits - 1) << 4) | (this.colorTableBits - 1));
+        this.bytes.push(0); // Background color index
+        this.bytes.push(0); // Pixel aspect ratio
+
+        // Global color table, padded to full size
+        const tableSize = 1 << this.colorTableBits;
+        for (let i = 0; i < tableSize; i++) {
+            const color = this.palette[i] || [0, 0, 0];
+            this.bytes.push(color[0], color[1], color[2]);
+        }
+
+        // Netscape looping extension, omitted when the animation plays only once
+        if (this.loopCount !== 1) {
+            this.bytes.push(0x21, 0xFF, 0x0B);
+            this.writeString('NETSCAPE2.0');
+            this.bytes.push(0x03, 0x01);
+            this.writeUint16(this.loopCount === 0 ? 0 : this.loopCount - 1);
+            this.bytes.push(0x00);
+        }
+    }
+
+    // Add a frame of palette indices with a delay in hundredths of a second
+    addFrame(indexedPixels, delay) {
+        // Graphic control extension, no disposal and no transparency
+        this.bytes.push(0x21, 0xF9, 0x04, 0x04);
+        this.writeUint16(delay);
+        this.bytes.push(0x00, 0x00);
+
+        // Image descriptor covering the whole canvas
+        this.bytes.push(0x2C);
+        this.writeUint16(0);
+        this.writeUint16(0);
+        this.writeUint16(this.width);
+        this.writeUint16(this.height);
+        this.bytes.push(0x00);
+
+        const minCodeSize = Math.max(2, this.colorTableBits);
+        this.bytes.push(minCodeSize);
+
+        this.flush();
+
+        // Image data in sub-blocks of up to 255 bytes
+        const data = GifEncoder.encodeLZW(indexedPixels, minCodeSize);
+        const blocks = new Uint8Array(data.length + Math.ceil(data.length / 255) + 1);
+        let offset = 0;
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.subarray(i, i + 255);
+            blocks[offset++] = block.length;
+            blocks.set(block, offset);
+            offset += block.length;
+        }
+        blocks[offset] = 0x00;
+        this.chunks.push(blocks);
+    }
+
+    finish() {
+        this.bytes.push(0x3B);
+        this.flush();
+        return new Blob(this.chunks, { type: 'image/gif' });
+    }
+
+    // Move pending header bytes into the output chunks
+    flush() {
+        if (this.bytes.length > 0) {
+            this.chunks.push(new Uint8Array(this.bytes));
+            this.bytes = [];
+        }
+    }
+
+    writeString(string) {
+        for (let i = 0; i < string.length; i++) {
+            this.bytes.push(string.charCodeAt(i));
+        }
+    }
+
+    writeUint16(value) {
+        this.bytes.push(value & 0xFF, (value >> 8) & 0xFF);
+    }
+
+    // Variable code size LZW compression as specified by GIF89a
+    static encodeLZW(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const output = [];
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map();
+        let bitBuffer = 0;
+        let bitCount = 0;
+
+        const emit = (code) => {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                output.push(bitBuffer & 0xFF);
+                bitBuffer >>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        emit(clearCode);
+
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const index = indices[i];
+            const key = (prefix << 8) | index;
+            const code = table.get(key);
+
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix);
+
+            if (nextCode === 4096) {
+                // Table full, start over
+                emit(clearCode);
+                table = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) {
+                    codeSize++;
+                }
+                table.set(key, nextCode++);
+            }
+
+            prefix = index;
+        }
+
+        emit(prefix);
+        emit(endCode);
+
+        if (bitCount > 0) {
+            output.push(bitBuffer & 0xFF);
+        }
+
+        return new Uint8Array(output);
+    }
+
+    // Build a palette of up to maxColors from RGBA pixel samples using median cut
+    static buildPalette(samples, maxColors = 256) {
+        const count = samples.length / 3;
+        if (count === 0) {
+            return [[0, 0, 0], [255, 255, 255]];
+        }
+
+        const indices = new Uint32Array(count);
+        for (let i = 0; i < count; i++) indices[i] = i;
+
+        const createBox = (start, end) => {
+            const min = [255, 255, 255];
+            const max = [0, 0, 0];
+            for (let i = start; i < end; i++) {
+                const offset = indices[i] * 3;
+                for (let c = 0; c < 3; c++) {
+                    const value = samples[offset + c];
+                    if (value < min[c]) min[c] = value;
+                    if (value > max[c]) max[c] = value;
+                }
+            }
+            const ranges = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+            const channel = ranges.indexOf(Math.max(...ranges));
+            return { start, end, channel, range: ranges[channel] };
+        };
+
+        const boxes = [createBox(0, count)];
+
+        while (boxes.length < maxColors) {
+            // Split the box with the widest spread weighted by its population
+            let best = -1;
+            let bestScore = 0;
+            boxes.forEach((box, i) => {
+                const score = box.range * (box.end - box.start);
+                if (box.end - box.start > 1 && score > bestScore) {
+                    best = i;
+                    bestScore = score;
+                }
+            });
+            if (best === -1) break;
+
+            const box = boxes[best];
+            const sorted = Array.from(indices.subarray(box.start, box.end))
+                .sort((a, b) => samples[a * 3 + box.channel] - samples[b * 3 + box.channel]);
+            indices.set(sorted, box.start);
+
+            const middle = box.start + Math.floor((box.end - box.start) / 2);
+            boxes.splice(best, 1, createBox(box.start, middle), createBox(middle, box.end));
+        }
+
+        return boxes.map(box => {
+            const sum = [0, 0, 0];
+            for (let i = box.start; i < box.end; i++) {
+                const offset = indices[i] * 3;
+                sum[0] += samples[offset];
+                sum[1] += samples[offset + 1];
+                sum[2] += samples[offset + 2];
+            }
+            const size = box.end - box.start;
+            return sum.map(value => Math.round(value / size));
+        });
+    }
+
+    // Collect every nth pixel of RGBA image data as RGB samples
+    static samplePixels(imageData, step = 1) {
+        const data = imageData.data;
+        const pixelCount = data.length / 4;
+        const samples = new Uint8Array(Math.ceil(pixelCount / step) * 3);
+        let offset = 0;
+        for (let i = 0; i < pixelCount; i += step) {
+            samples[offset++] = data[i * 4];
+            samples[offset++] = data[i * 4 + 1];
+            samples[offset++] = data[i * 4 + 2];
+        }
+        return samples.subarray(0, offset);
+    }
+
+    // Map RGBA image data to palette indices with the given dithering mode
+    static indexPixels(imageData, palette, dithering = 'none') {
+        const { width, height, data } = imageData;
+        const indexed = new Uint8Array(width * height);
+
+        // Nearest color lookups are cached on 5 bits per channel
+        const cache = new Int16Array(32768).fill(-1);
+        const nearest = (r, g, b) => {
+            const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+            if (cache[key] !== -1) return cache[key];
+
+            let bestIndex = 0;
+            let bestDistance = Infinity;
+            for (let i = 0; i < palette.length; i++) {
+                const dr = palette[i][0] - r;
+                const dg = palette[i][1] - g;
+                const db = palette[i][2] - b;
+                const distance = dr * dr + dg * dg + db * db;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    bestIndex = i;
+                }
+            }
+            cache[key] = bestIndex;
+            return bestIndex;
+        };
+
+        const clamp = (value) => value < 0 ? 0 : (value > 255 ? 255 : Math.round(value));
+
+        if (dithering === 'floyd-steinberg') {
+            const buffer = new Float32Array(width * height * 3);
+            for (let i = 0; i < width * height; i++) {
+                buffer[i * 3] = data[i * 4];
+                buffer[i * 3 + 1] = data[i * 4 + 1];
+                buffer[i * 3 + 2] = data[i * 4 + 2];
+            }
+
+            const spread = (x, y, error, weight) => {
+                if (x < 0 || x >= width || y >= height) return;
+                const offset = (y * width + x) * 3;
+                buffer[offset] += error[0] * weight;
+                buffer[offset + 1] += error[1] * weight;
+                buffer[offset + 2] += error[2] * weight;
+            };
+
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const offset = (y * width + x) * 3;
+                    const r = clamp(buffer[offset]);
+                    const g = clamp(buffer[offset + 1]);
+                    const b = clamp(buffer[offset + 2]);
+                    const index = nearest(r, g, b);
+                    indexed[y * width + x] = index;
+
+                    const color = palette[index];
+                    const error = [r - color[0], g - color[1], b - color[2]];
+                    spread(x + 1, y, error, 7 / 16);
+                    spread(x - 1, y + 1, error, 3 / 16);
+                    spread(x, y + 1, error, 5 / 16);
+                    spread(x + 1, y + 1, error, 1 / 16);
+                }
+            }
+        } else if (dithering === 'ordered') {
+            const bayer = [
+                0, 8, 2, 10,
+                12, 4, 14, 6,
+                3, 11, 1, 9,
+                15, 7, 13, 5
+            ];
+            // Dither strength scales with the average distance between palette colors
+            const strength = 255 / Math.cbrt(palette.length);
+
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const i = y * width + x;
+                    const threshold = ((bayer[(y % 4) * 4 + (x % 4)] + 0.5) / 16 - 0.5) * strength;
+                    indexed[i] = nearest(
+                        clamp(data[i * 4] + threshold),
+                        clamp(data[i * 4 + 1] + threshold),
+                        clamp(data[i * 4 + 2] + threshold)
+                    );
+                }
+            }
+        } else {
+            for (let i = 0; i < width * height; i++) {
+                indexed[i] = nearest(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+            }
+        }
+
+        return indexed;
+    }
+}
+
+// Make GifEncoder available globally
+window.GifEncoder = GifEncoder;
@@ -0,0 +1,412 @@
+// Converts text objects and their keyframes into a Lottie (Bodymovin) JSON animation
+class LottieExporter {
+    constructor(app) {
+        this.app = app;
+    }
+
+    static get LOTTIE_VERSION() {
+        return '5.7.4';
+    }
+
+    // Keyframe properties with a Lottie equivalent
+    static get SUPPORTED_PROPERTIES() {
+        return ['x', 'y', 'fontSize', 'color', 'rotation', 'opacity', 'strokeWidth', 'strokeColor'];
+    }
+
+    // Build the animation document. Returns { animation, issues } where issues lists
+    // everything Lottie cannot represent, as { path, message } like project validation.
+    export(options = {}) {
+        const { start, end } = this.app.getWorkArea();
+        const issues = [];
+
+        const animation = {
+            v: LottieExporter.LOTTIE_VERSION,
+            nm: 'Font Animation Studio',
+            fr: this.app.frameRate,
+            ip: start,
+            op: end + 1,
+            w: this.app.canvasWidth,
+            h: this.app.canvasHeight,
+            ddd: 0,
+            assets: [],
+            fonts: { list: [] },
+            layers: []
+        };
+
+        const fontNames = new Set();
+        this.app.textObjects.forEach((obj, index) => {
+            const path = `textObjects[${index}] ${JSON.stringify(this.getLabel(obj))}`;
+            this.collectIssues(obj, path, issues);
+
+            if (!fontNames.has(obj.fontFamily)) {
+                fontNames.add(obj.fontFamily);
+                animation.fonts.list.push(this.createFont(obj.fontFamily));
+            }
+
+            animation.layers.push(this.createTextLayer(obj, animation));
+        });
+
+        // Canvas draws later objects on top, Lottie draws the first layer on top
+        animation.layers.reverse();
+
+        if (!options.transparentBackground) {
+            animation.layers.push(this.createBackgroundLayer(animation));
+        }
+        animation.layers.forEach((layer, index) => {
+            layer.ind = index + 1;
+        });
+
+        return { animation, issues };
+    }
+
+    getLabel(obj) {
+        return obj.text.length > 20 ? `${obj.text.slice(0, 20)}…` : obj.text;
+    }
+
+    collectIssues(obj, path, issues) {
+        const properties = new Set([
+            ...Object.keys(obj.keyframes || {}).filter(property => obj.keyframes[property].length > 0),
+            ...Object.keys(obj.initialState || {})
+        ]);
+
+        properties.forEach(property => {
+            // The range selector's own properties are exported with its animator,
+            // features and effects are reported together with the static ones below
+            if (property.startsWith('range:') || property.startsWith('feature:') || property.startsWith('effect:')) return;
+
+            if (property.startsWith('variableaxis:')) {
+                const axisTag = property.replace('variableaxis:', '');
+                issues.push({ path, message: `variable axis "${axisTag}" is not supported, the font's default instance is used` });
+            } else if (property === 'lineHeight') {
+                if (obj.keyframes.lineHeight && obj.keyframes.lineHeight.length > 1) {
+                    issues.push({ path, message: 'animated line height is not supported, the starting line height is used' });
+                }
+            } else if (property === 'letterSpacing') {
+                if (obj.keyframes.letterSpacing && obj.keyframes.letterSpacing.length > 1) {
+                    issues.push({ path, message: 'animated letter spacing is not supported, the starting letter spacing is used' });
+                }
+            } else if (property === 'fill') {
+                issues.push({ path, message: 'gradient and pattern fills are not supported, the text color is used' });
+            } else if (property === 'wordSpacing' || property === 'blur') {
+                if (this.isNonZero(obj, property)) {
+                    issues.push({ path, message: `${property === 'blur' ? 'blur' : 'word spacing'} is not supported and was skipped` });
+                }
+            } else if (property === 'rotation') {
+                issues.push({ path, message: 'rotation pivots around the text origin instead of its center' });
+            } else if (!LottieExporter.SUPPORTED_PROPERTIES.includes(property)) {
+                issues.push({ path, message: `property "${property}" is not supported and was skipped` });
+            }
+        });
+
+        if (obj.stagger) {
+            issues.push({ path, message: 'per-glyph stagger is not supported, the text animates as one block' });
+        }
+
+        (obj.effects || []).forEach(effect => {
+            issues.push({ path, message: `effect "${window.TextEffects.getEffectName(obj, effect)}" is not supported and was skipped` });
+        });
+
+        if (obj.rangeSelector) {
+            Object.keys(obj.rangeSelector.properties || {}).forEach(property => {
+                if (property.startsWith('variableaxis:')) {
+                    const axisTag = property.replace('variableaxis:', '');
+                    issues.push({ path, message: `range selector amount for variable axis "${axisTag}" is not supported and was skipped` });
+                }
+            });
+            if ((obj.keyframes.fontSize || []).length > 1 && (obj.rangeSelector.properties || {}).fontSize) {
+                issues.push({ path, message: 'range selector size amount is scaled from the starting font size' });
+            }
+        }
+
+        const featureTags = new Set(Object.keys(obj.openTypeFeatures || {}).filter(tag => obj.openTypeFeatures[tag]));
+        properties.forEach(property => {
+            if (property.startsWith('feature:')) {
+                featureTags.add(property.replace('feature:', ''));
+            }
+        });
+        featureTags.forEach(tag => {
+            issues.push({ path, message: `OpenType feature "${tag}" is not supported` });
+        });
+    }
+
+    // Whether a property that defaults to zero is set anywhere
+    isNonZero(obj, property) {
+        const values = [(obj.initialState || {})[property], ...(obj.keyframes[property] || []).map(keyframe => keyframe.value)];
+        return values.some(value => value);
+    }
+
+    createFont(fontFamily) {
+        return {
+            fName: fontFamily,
+            fFamily: fontFamily,
+            fStyle: 'Regular',
+            ascent: this.getAscent(fontFamily) * 100,
+            origin: 0
+        };
+    }
+
+    // Ascent as a fraction of the font size, used to move Lottie's baseline origin
+    // to the top of the text where the canvas renderer positions it
+    getAscent(fontFamily) {
+        const fontInfo = this.app.fonts.get(fontFamily);
+        if (fontInfo && fontInfo.font && fontInfo.font.unitsPerEm) {
+            return fontInfo.font.ascender / fontInfo.font.unitsPerEm;
+        }
+        return 0.8;
+    }
+
+    createTextLayer(obj, animation) {
+        const { start } = this.app.getWorkArea();
+
+        // The text document keeps the starting size, size changes are animated as scale
+        const baseFontSize = this.app.getPropertyValue(obj, 'fontSize', start);
+        const ascent = this.getAscent(obj.fontFamily) * baseFontSize;
+        const justification = { left: 0, right: 1, center: 2 }[obj.textAlign] || 0;
+        const lineHeight = this.app.getPropertyValue(obj, 'lineHeight', start);
+
+        // Lottie tracking is in thousandths of an em
+        const tracking = this.app.getPropertyValue(obj, 'letterSpacing', start) / baseFontSize * 1000;
+
+        const layer = {
+            ddd: 0,
+            ty: 5,
+            nm: this.getLabel(obj),
+            sr: 1,
+            ks: {
+                o: this.createProperty(obj, 'opacity', value => [value]),
+                r: this.createProperty(obj, 'rotation', value => [value]),
+                p: {
+                    s: true,
+                    x: this.createProperty(obj, 'x', value => [value]),
+                    y: this.createProperty(obj, 'y', value => [value])
+                },
+                a: { a: 0, k: [0, -ascent, 0] },
+                s: this.createProperty(obj, 'fontSize', value => {
+                    const scale = value / baseFontSize * 100;
+                    return [scale, scale, 100];
+                })
+            },
+            ao: 0,
+            t: {
+                d: {
+                    k: [{
+                        s: {
+                            s: baseFontSize,
+                            f: obj.fontFamily,
+                            // Lines break where the canvas wraps them at the start
+                            t: this.app.getTextLines(obj, start).join('\r'),
+                            j: justification,
+                            tr: tracking,
+                            lh: baseFontSize * lineHeight,
+                            ls: 0,
+                            fc: this.toLottieColor(this.app.getPropertyValue(obj, 'color', start)),
+                            ...this.createStroke(obj, start)
+                        },
+                        t: 0
+                    }]
+                },
+                p: {},
+                m: { g: 1, a: { a: 0, k: [0, 0] } },
+                a: []
+            },
+            ip: animation.ip,
+            op: animation.op,
+            st: 0,
+            bm: 0
+        };
+
+        // Text documents can only switch color, an animator covering all characters interpolates it
+        if ((obj.keyframes.color || []).length > 1) {
+            layer.t.a.push(this.createAnimator('Color', {
+                fc: this.createProperty(obj, 'color', value => this.toLottieColor(value))
+            }));
+        }
+
+        // Animator stroke widths are added to the document's, stroke colors replace it
+        const stroke = {};
+        if ((obj.keyframes.strokeColor || []).length > 1) {
+            stroke.sc = this.createProperty(obj, 'strokeColor', value => this.toLottieColor(value));
+        }
+        if ((obj.keyframes.strokeWidth || []).length > 1) {
+            const baseStrokeWidth = this.app.getPropertyValue(obj, 'strokeWidth', start);
+            stroke.sw = this.createProperty(obj, 'strokeWidth', value => [value - baseStrokeWidth]);
+        }
+        if (Object.keys(stroke).length > 0) {
+            layer.t.a.push(this.createAnimator('Stroke', stroke));
+        }
+
+        if (obj.rangeSelector) {
+            layer.t.a.push(this.createRangeAnimator(obj, baseFontSize));
+        }
+
+        return layer;
+    }
+
+    // Stroke settings of the text document when the object has an outline, drawn over the fill
+    createStroke(obj, start) {
+        if (!this.isNonZero(obj, 'strokeWidth')) return {};
+
+        return {
+            sc: this.toLottieColor(this.app.getPropertyValue(obj, 'strokeColor', start)),
+            sw: this.app.getPropertyValue(obj, 'strokeWidth', start),
+            of: true
+        };
+    }
+
+    // An animator covering all characters, setting the given properties
+    createAnimator(name, properties) {
+        return {
+            nm: name,
+            s: {
+                t: 0,
+                xe: { a: 0, k: 0 },
+                ne: { a: 0, k: 0 },
+                a: { a: 0, k: 100 },
+                b: 1,
+                rn: 0,
+                sh: 1,
+                s: { a: 0, k: 0 },
+                e: { a: 0, k: 100 },
+                o: { a: 0, k: 0 },
+                r: 1,
+                sm: { a: 0, k: 100 }
+            },
+            a: properties
+        };
+    }
+
+    // Lottie text animators have the same range selector, with shapes numbered from 1
+    createRangeAnimator(obj, baseFontSize) {
+        const amounts = obj.rangeSelector.properties || {};
+        const properties = {};
+
+        if (amounts.x || amounts.y) {
+            properties.p = { a: 0, k: [amounts.x || 0, amounts.y || 0, 0] };
+        }
+        if (amounts.fontSize) {
+            const scale = (baseFontSize + amounts.fontSize) / baseFontSize * 100;
+            properties.s = { a: 0, k: [scale, scale, 100] };
+        }
+        if (amounts.color) {
+            properties.fc = { a: 0, k: this.toLottieColor(amounts.color) };
+        }
+
+        return {
+            nm: 'Range Selector',
+            s: {
+                t: 0,
+                xe: { a: 0, k: 0 },
+                ne: { a: 0, k: 0 },
+                a: { a: 0, k: 100 },
+                b: 1,
+                rn: 0,
+                sh: window.TextLayout.RANGE_SHAPES.indexOf(obj.rangeSelector.shape || 'square') + 1,
+                s: this.createProperty(obj, 'range:start', value => [value]),
+                e: this.createProperty(obj, 'range:end', value => [value]),
+                o: this.createProperty(obj, 'range:offset', value => [value]),
+                r: 1,
+                sm: { a: 0, k: 100 }
+            },
+            a: properties
+        };
+    }
+
+    createBackgroundLayer(animation) {
+        const width = animation.w;
+        const height = animation.h;
+
+        return {
+            ddd: 0,
+            ty: 1,
+            nm: 'Background',
+            sr: 1,
+            ks: {
+                o: { a: 0, k: 100 },
+                r: { a: 0, k: 0 },
+                p: { a: 0, k: [width / 2, height / 2, 0] },
+                a: { a: 0, k: [width / 2, height / 2, 0] },
+                s: { a: 0, k: [100, 100, 100] }
+            },
+            ao: 0,
+            sw: width,
+            sh: height,
+            sc: this.expandHex(this.app.canvasBackground),
+            ip: animation.ip,
+            op: animation.op,
+            st: 0,
+            bm: 0
+        };
+    }
+
+    // Convert a keyframe track into an animatable Lottie property. The curve on a keyframe
+    // shapes the segment to the next one, which is where Lottie keeps its easing tangents.
+    // Hold keyframes map to Lottie's hold flag.
+    createProperty(obj, property, toValue) {
+        const keyframes = this.getKeyframes(obj, property);
+
+        if (keyframes.length < 2) {
+            const frame = keyframes.length === 1 ? keyframes[0].frame : 0;
+            const value = toValue(this.app.getPropertyValue(obj, property, frame));
+            return { a: 0, k: value.length === 1 ? value[0] : value };
+        }
+
+        return {
+            a: 1,
+            k: keyframes.map((keyframe, index) => {
+                const entry = { t: keyframe.frame, s: toValue(keyframe.value) };
+
+                if (keyframe.hold) {
+                    entry.h = 1;
+                } else if (index < keyframes.length - 1) {
+                    const curve = keyframe.curve || { x1: 0, y1: 0, x2: 1, y2: 1 };
+                    entry.o = { x: [curve.x1], y: [curve.y1] };
+                    entry.i = { x: [curve.x2], y: [curve.y2] };
+                }
+
+                return entry;
+            })
+        };
+    }
+
+    // Keyframes of a property, with segments eased by springs, bounces, elastic curves
+    // or steps sampled on every frame since Lottie only has bezier easing
+    getKeyframes(obj, property) {
+        const keyframes = obj.keyframes[property] || [];
+        const result = [];
+
+        keyframes.forEach((keyframe, index) => {
+            const next = keyframes[index + 1];
+            if (!next || keyframe.hold || !keyframe.curve || window.Easing.getType(keyframe.curve) === 'bezier') {
+                result.push(keyframe);
+                return;
+            }
+
+            // Steps hold between samples so they keep their jumps
+            const hold = keyframe.curve.type === 'steps';
+            result.push({ frame: keyframe.frame, value: keyframe.value, hold });
+            for (let frame = keyframe.frame + 1; frame < next.frame; frame++) {
+                result.push({ frame, value: this.app.getPropertyValue(obj, property, frame), hold });
+            }
+        });
+
+        return result;
+    }
+
+    // Lottie colors are RGB components between 0 and 1
+    toLottieColor(hex) {
+        const rgb = this.app.hexToRgb(this.expandHex(hex)) || { r: 0, g: 0, b: 0 };
+        return [rgb.r / 255, rgb.g / 255, rgb.b / 255];
+    }
+
+    // Short "#abc" colors are valid in project files but not in Lottie
+    expandHex(hex) {
+        const value = String(hex || '#000000').replace('#', '');
+        if (value.length === 3) {
+            return '#' + value.split('').map(char => char + char).join('');
+        }
+        return `#${value}`;
+    }
+}
+
+// Make LottieExporter available globally
+window.LottieExporter = LottieExporter;
@@ -11,6 +11,7 @@ class FontAnimationApp {
         this.isPlaying = false;
         this.currentFrame = 0;
         this.totalFrames = 150; // 5 seconds at 30fps
+        this.workArea = null; // In/out points { start, end } limiting playback and export, null = whole timeline
         this.frameRate = window.AppSettings?.getValue('frameRate') || 30;
         this.duration = window.AppSettings?.getValue('duration') || 5;
         this.canvasWidth = window.AppSettings?.getValue('canvasWidth') || 1000;
@@ -195,6 +196,7 @@ class FontAnimationApp {
         this.setupFontManager();
         this.initializeUIFromSettings();
         this.saveState(); // Initial state
+        this.setupAutosave();
     }
 
     setupCanvas() {
@@ -455,7 +457,8 @@ class FontAnimationApp {
         // Menu bar controls
         document.getElementById('canvasWidth').addEventListener('change', (e) => {
             const maxWidth = 3840; // 4K width limit
-            let newWidth = parseInt(e.target.value);
+            let newWidth = window.ProjectSchema.clampToRange(parseInt(e.target.value), window.ProjectSchema.SETTING_RANGES.canvasWidth, this.canvasWidth);
+            e.target.value = newWidth;
 
             // Constrain to maximum 4K width
             if (newWidth > maxWidth) {
@@ -473,7 +476,8 @@ class FontAnimationApp {
 
         document.getElementById('canvasHeight').addEventListener('change', (e) => {
             const maxHeight = 2160; // 4K height limit
-            let newHeight = parseInt(e.target.value);
+            let newHeight = window.ProjectSchema.clampToRange(parseInt(e.target.value), window.ProjectSchema.SETTING_RANGES.canvasHeight, this.canvasHeight);
+            e.target.value = newHeight;
 
             // Constrain to maximum 4K height
             if (newHeight > maxHeight) {
@@ -496,8 +500,10 @@ class FontAnimationApp {
             this.saveState();
         });
 
+        // Settings are kept within the limits project files are validated against
         document.getElementById('frameRate').addEventListener('change', (e) => {
-            this.frameRate = parseInt(e.target.value);
+            this.frameRate = window.ProjectSchema.clampToRange(parseInt(e.target.value), window.ProjectSchema.SETTING_RANGES.frameRate, this.frameRate);
+            e.target.value = this.frameRate;
             this.totalFrames = Math.ceil(this.duration * this.frameRate);
             this.updateTimeline();
             this.updateFrameTimeDisplay();
@@ -505,7 +511,8 @@ class FontAnimationApp {
         });
 
         document.getElementById('duration').addEventListener('change', (e) => {
-            this.duration = parseFloat(e.target.value);
+            this.duration = window.ProjectSchema.clampToRange(parseFloat(e.target.value), window.ProjectSchema.SETTING_RANGES.duration, this.duration);
+            e.target.value = this.duration;
             this.totalFrames = Math.ceil(this.duration * this.frameRate);
             this.updateTimeline();
             this.updateFrameTimeDisplay();
@@ -516,6 +523,7 @@ class FontAnimationApp {
         document.getElementById('newBtn').addEventListener('click', () => this.newProject());
         document.getElementById('openBtn').addEventListener('click', () => this.openProject());
         document.getElementById('saveBtn').addEventListener('click', () => this.saveProject());
+        document.getElementById('saveWithFontsBtn').addEventListener('click', () => this.saveProject({ embedFonts: true }));
         document.getElementById('openFileInput').addEventListener('change', (e) => this.loadProject(e));
 
         // Tools
@@ -543,6 +551,9 @@ class FontAnimationApp {
         // Right panel
         this.setupRightPanelEventListeners();
 
+        // Pattern fill images load in the background, draw again once one is ready
+        window.addEventListener('patternload', () => this.redraw());
+
         // Modal
         document.querySelector('.close').addEventListener('click', () => {
             document.getElementById('warningModal').style.display = 'none';
@@ -596,17 +607,52 @@ class FontAnimationApp {
             }
         });
 
+        // Sizes stay within the range project files allow, a cleared field changes nothing
         document.getElementById('fontSize').addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            if (this.selectedObject && Number.isFinite(value)) {
+                this.updateObjectProperty(this.selectedObject, 'fontSize', window.ProjectSchema.clampToRange(value, window.ProjectSchema.PROPERTY_RANGES.fontSize));
+                this.redraw();
+            }
+        });
+
+        document.getElementById('fontSize').addEventListener('change', (e) => {
             if (this.selectedObject) {
-                this.updateObjectProperty(this.selectedObject, 'fontSize', parseFloat(e.target.value));
+                e.target.value = this.getPropertyValue(this.selectedObject, 'fontSize');
+            }
+            this.saveState();
+        });
+
+        document.getElementById('lineHeight').addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            if (this.selectedObject && Number.isFinite(value)) {
+                this.updateObjectProperty(this.selectedObject, 'lineHeight', window.ProjectSchema.clampToRange(value, window.ProjectSchema.PROPERTY_RANGES.lineHeight));
                 this.redraw();
             }
         });
 
-        document.getElementById('fontSize').addEventListener('change', () => {
+        document.getElementById('lineHeight').addEventListener('change', (e) => {
+            if (this.selectedObject) {
+                e.target.value = this.getPropertyValue(this.selectedObject, 'lineHeight');
+            }
             this.saveState();
         });
 
+        // Spacing in pixels, negative values tighten the text
+        ['letterSpacing', 'wordSpacing'].forEach(property => {
+            document.getElementById(property).addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                if (this.selectedObject && !isNaN(value)) {
+                    this.updateObjectProperty(this.selectedObject, property, value);
+                    this.redraw();
+                }
+            });
+
+            document.getElementById(property).addEventListener('change', () => {
+                this.saveState();
+            });
+        });
+
         document.getElementById('fontColor').addEventListener('change', (e) => {
             if (this.selectedObject) {
                 this.updateObjectProperty(this.selectedObject, 'color', e.target.value);
@@ -615,6 +661,101 @@ class FontAnimationApp {
             }
         });
 
+        // Gradient and pattern fills, switching to a solid color removes the fill and its
+        // keyframes. Gradients switching type keep their stops, patterns ask for an image.
+        document.getElementById('fillType').addEventListener('change', async (e) => {
+            if (!this.selectedObject) return;
+
+            const obj = this.selectedObject;
+            const fill = this.getPropertyValue(obj, 'fill');
+            const type = e.target.value;
+            if (type === 'solid') {
+                const keyframes = obj.keyframes.fill || [];
+                if (keyframes.length > 0 && !await window.UIManager.confirmAction(`Remove the fill and its ${keyframes.length} keyframe(s)?`)) {
+                    e.target.value = fill.type;
+                    return;
+                }
+                delete obj.keyframes.fill;
+                if (obj.initialState) delete obj.initialState.fill;
+                this.timeline.update();
+            } else if (type === 'pattern') {
+                const image = await this.choosePatternImage();
+                if (!image) {
+                    e.target.value = fill ? fill.type : 'solid';
+                    return;
+                }
+                this.updateObjectProperty(obj, 'fill', { type, angle: fill ? fill.angle : 0, scale: 100, image });
+                if (!fill) this.timeline.update();
+            } else if (fill && fill.stops) {
+                this.updateObjectProperty(obj, 'fill', { ...fill, type });
+            } else {
+                this.updateObjectProperty(obj, 'fill', {
+                    type,
+                    angle: fill ? fill.angle : 90,
+                    stops: [
+                        { offset: 0, color: this.getPropertyValue(obj, 'color') },
+                        { offset: 100, color: '#0078d4' }
+                    ]
+                });
+                if (!fill) this.timeline.update();
+            }
+
+            this.updateRightPanel();
+            this.redraw();
+            this.saveState();
+        });
+
+        document.getElementById('fillAngle').addEventListener('input', (e) => {
+            const fill = this.selectedObject && this.getPropertyValue(this.selectedObject, 'fill');
+            const angle = parseFloat(e.target.value);
+            if (fill && !isNaN(angle)) {
+                this.updateObjectProperty(this.selectedObject, 'fill', { ...fill, angle });
+                this.redraw();
+            }
+        });
+
+        document.getElementById('fillAngle').addEventListener('change', () => {
+            this.saveState();
+        });
+
+        // Opacity, blur and stroke, opacity is in percent and the others in pixels. Values
+        // are clamped to the ranges project files are validated against.
+        ['opacity', 'blur', 'strokeWidth'].forEach(property => {
+            const range = window.ProjectSchema.PROPERTY_RANGES[property];
+            document.getElementById(property).addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                if (this.selectedObject && Number.isFinite(value)) {
+                    this.updateObjectProperty(this.selectedObject, property, window.ProjectSchema.clampToRange(value, range));
+                    this.redraw();
+                }
+            });
+
+            document.getElementById(property).addEventListener('change', (e) => {
+                if (this.selectedObject) {
+                    e.target.value = this.getPropertyValue(this.selectedObject, property);
+                }
+                this.saveState();
+            });
+        });
+
+        document.getElementById('strokeColor').addEventListener('change', (e) => {
+            if (this.selectedObject) {
+                this.updateObjectProperty(this.selectedObject, 'strokeColor', e.target.value);
+                this.redraw();
+                this.saveState();
+            }
+        });
+
+        // New effects go on top of the stack, the right panel edits their parameters
+        document.getElementById('addEffectBtn').addEventListener('click', () => {
+            if (!this.selectedObject) return;
+
+            window.TextEffects.addEffect(this.selectedObject, document.getElementById('effectType').value);
+            this.updateRightPanel();
+            this.redraw();
+            this.saveState();
+        });
+
         // Text alignment buttons
         document.querySelectorAll('.alignment-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -632,6 +773,96 @@ class FontAnimationApp {
             });
         });
 
+        // Text box controls, text wraps at spaces to the box width while the box is on
+        ['boxEnabled', 'boxWidth'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                if (!this.selectedObject) return;
+
+                const width = parseFloat(document.getElementById('boxWidth').value);
+                if (document.getElementById('boxEnabled').checked && width > 0) {
+                    this.selectedObject.boxWidth = width;
+                } else {
+                    delete this.selectedObject.boxWidth;
+                }
+
+                window.UIManager.updateBoxControls(this.selectedObject);
+                this.redraw();
+                this.saveState();
+            });
+        });
+
+        // Glyph stagger controls
+        ['staggerEnabled', 'staggerFrames', 'staggerOrder', 'staggerSeed'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                if (!this.selectedObject) return;
+
+                if (document.getElementById('staggerEnabled').checked) {
+                    this.selectedObject.stagger = {
+                        frames: Math.max(0, parseFloat(document.getElementById('staggerFrames').value) || 0),
+                        order: document.getElementById('staggerOrder').value,
+                        seed: Math.max(0, parseInt(document.getElementById('staggerSeed').value, 10) || 0)
+                    };
+                } else {
+                    delete this.selectedObject.stagger;
+                }
+
+                window.UIManager.updateStaggerControls(this.selectedObject);
+                this.redraw();
+                this.saveState();
+            });
+        });
+
+        // Range selector controls, amounts left at zero are not stored
+        const updateRangeSelector = () => {
+            if (!this.selectedObject) return;
+
+            if (document.getElementById('rangeEnabled').checked) {
+                const properties = {};
+                const amounts = [
+                    ['y', document.getElementById('rangeY')],
+                    ['fontSize', document.getElementById('rangeFontSize')],
+                    ...Array.from(document.querySelectorAll('#rangeAxes input'), input => [input.dataset.property, input])
+                ];
+                amounts.forEach(([property, input]) => {
+                    const amount = parseFloat(input.value) || 0;
+                    if (amount !== 0) properties[property] = amount;
+                });
+                if (document.getElementById('rangeColorEnabled').checked) {
+                    properties.color = document.getElementById('rangeColor').value;
+                }
+
+                this.selectedObject.rangeSelector = {
+                    shape: document.getElementById('rangeShape').value,
+                    properties
+                };
+            } else {
+                delete this.selectedObject.rangeSelector;
+            }
+
+            window.UIManager.updateRangeControls(this.selectedObject, this);
+            this.redraw();
+            this.saveState();
+        };
+
+        ['rangeEnabled', 'rangeShape', 'rangeY', 'rangeFontSize', 'rangeColorEnabled', 'rangeColor'].forEach(id => {
+            document.getElementById(id).addEventListener('change', updateRangeSelector);
+        });
+        document.getElementById('rangeAxes').addEventListener('change', updateRangeSelector);
+
+        [['rangeStart', 'range:start', 0], ['rangeEnd', 'range:end', 0], ['rangeOffset', 'range:offset', -100]].forEach(([id, property, min]) => {
+            const input = document.getElementById(id);
+            input.addEventListener('input', (e) => {
+                if (this.selectedObject) {
+                    const value = Math.max(min, Math.min(100, parseFloat(e.target.value) || 0));
+                    this.updateObjectProperty(this.selectedObject, property, value);
+                    this.redraw();
+                }
+            });
+            input.addEventListener('change', () => {
+                this.saveState();
+            });
+        });
+
         document.getElementById('textContent').addEventListener('input', (e) => {
             if (this.selectedObject) {
                 this.selectedObject.text = e.target.value;
@@ -737,6 +968,9 @@ class FontAnimationApp {
             // Skip if clicking on the time cursor itself
             if (e.target.id === 'timeCursor') return;
 
+            // Work area handles have their own dragging
+            if (e.target.closest('.work-area')) return;
+
             isDragging = true;
             const frame = getFrameFromEvent(e);
             this.setCurrentFrame(frame);
@@ -952,16 +1186,13 @@ class FontAnimationApp {
 
         // Deep copy all keyframes for each property
         Object.keys(sourceObject.keyframes).forEach(property => {
-            duplicate.keyframes[property] = sourceObject.keyframes[property].map(keyframe => ({
-                frame: keyframe.frame,
-                value: keyframe.value,
-                curve: keyframe.curve ? {
-                    cp1x: keyframe.curve.cp1x,
-                    cp1y: keyframe.curve.cp1y,
-                    cp2x: keyframe.curve.cp2x,
-                    cp2y: keyframe.curve.cp2y
-                } : undefined
-            }));
+            duplicate.keyframes[property] = sourceObject.keyframes[property].map(keyframe => {
+                const copy = { ...keyframe };
+                if (keyframe.curve) {
+                    copy.curve = { ...keyframe.curve };
+                }
+                return copy;
+            });
         });
 
         // Add the duplicate to the objects array
@@ -1100,6 +1331,15 @@ class FontAnimationApp {
         }
     }
 
+    setupAutosave() {
+        if (window.AutosaveManager && window.indexedDB) {
+            this.autosaveManager = new window.AutosaveManager(this);
+            this.autosaveManager.init();
+        } else {
+            console.warn('Autosave not available');
+        }
+    }
+
     initializeUIFromSettings() {
         // Initialize UI input fields with values from settings
         if (window.AppSettings) {
@@ -1171,7 +1411,10 @@ class FontAnimationApp {
                     return; // Exit early - don't unselect object when exiting text field
                 }
 
-                // Only unselect objects if not exiting a text field
+                // Only unselect keyframes and objects if not exiting a text field
+                if (this.timeline && this.timeline.selectedKeyframes.length > 0) {
+                    this.timeline.clearKeyframeSelection();
+                }
                 if (this.selectedObject) {
                     this.selectedObject = null;
                     // Collapse all timeline layers when unselecting
@@ -1251,7 +1494,22 @@ class FontAnimationApp {
                     this.setTool('text');
                     break;
                 case 'v':
-                    this.setTool('select');
+                    if (e.metaKey || e.ctrlKey) {
+                        // Cmd+V: Paste keyframes at the playhead, Cmd+Shift+V onto another property
+                        e.preventDefault();
+                        this.timeline.pasteKeyframes(e.shiftKey).catch(error => {
+                            console.error('Error pasting keyframes:', error);
+                            window.UIManager.createNotification('Error pasting keyframes: ' + error.message, 'error');
+                        });
+                    } else {
+                        this.setTool('select');
+                    }
+                    break;
+                case 'c':
+                    if ((e.metaKey || e.ctrlKey) && this.timeline.selectedKeyframes.length > 0) {
+                        e.preventDefault();
+                        this.timeline.copySelectedKeyframes();
+                    }
                     break;
                 case ' ':
                     e.preventDefault();
@@ -1274,7 +1532,11 @@ class FontAnimationApp {
                     this.addTestText();
                     break;
                 case 'd':
-                    if ((e.metaKey || e.ctrlKey) && this.selectedObject) {
+                    if ((e.metaKey || e.ctrlKey) && this.timeline.selectedKeyframes.length > 0) {
+                        // Cmd+D: Duplicate selected keyframes, which take priority over the object
+                        e.preventDefault();
+                        this.timeline.duplicateSelectedKeyframes();
+                    } else if ((e.metaKey || e.ctrlKey) && this.selectedObject) {
                         e.preventDefault();
                         // Cmd+D: Duplicate selected object
                         const duplicated = this.duplicateObject(this.selectedObject);
@@ -1396,11 +1658,22 @@ class FontAnimationApp {
                         document.getElementById('fontUpload').click();
                     }
                     break;
+                case 'b':
+                    if (!e.metaKey && !e.ctrlKey) {
+                        // B: Set work area in point at the playhead
+                        this.setWorkArea(this.currentFrame, this.getWorkArea().end);
+                        this.saveState();
+                    }
+                    break;
                 case 'n':
                     if (e.metaKey || e.ctrlKey) {
                         e.preventDefault();
                         // Cmd+N: New document
                         this.newProject();
+                    } else {
+                        // N: Set work area out point at the playhead
+                        this.setWorkArea(this.getWorkArea().start, this.currentFrame);
+                        this.saveState();
                     }
                     break;
                 case 'o':
@@ -1413,8 +1686,8 @@ class FontAnimationApp {
                 case 's':
                     if (e.metaKey || e.ctrlKey) {
                         e.preventDefault();
-                        // Cmd+S: Save document
-                        this.saveProject();
+                        // Cmd+S: Save document, Cmd+Shift+S: Save with embedded fonts
+                        this.saveProject({ embedFonts: e.shiftKey });
                     }
                     break;
             }
@@ -1472,9 +1745,21 @@ class FontAnimationApp {
                 return 0;
             }
 
+            // Unanimated OpenType features come from the object's feature settings
+            if (property.startsWith('feature:')) {
+                const featureTag = property.replace('feature:', '');
+                return !!(textObject.openTypeFeatures && textObject.openTypeFeatures[featureTag]);
+            }
+
+            // Effect parameters default to the values of their effect type
+            if (property.startsWith('effect:')) {
+                return window.TextEffects.getDefaultValue(textObject, property);
+            }
+
             // Fall back to hardcoded defaults
             const defaults = {
-                x: 0, y: 0, fontSize: 48, color: '#000000'
+                x: 0, y: 0, fontSize: 48, color: '#000000', 'range:end': 100,
+                lineHeight: window.TextLayout.DEFAULT_LINE_HEIGHT, opacity: 100, strokeColor: '#000000'
             };
             return defaults[property] || 0;
         }
@@ -1509,18 +1794,26 @@ class FontAnimationApp {
             return afterKeyframe.value;
         }
 
+        // A hold keyframe keeps its value until the next keyframe
+        if (beforeKeyframe && (beforeKeyframe.hold || this.isSteppedProperty(property))) {
+            return beforeKeyframe.value;
+        }
+
         // Interpolate between keyframes
         if (beforeKeyframe && afterKeyframe) {
             let progress = (frame - beforeKeyframe.frame) / (afterKeyframe.frame - beforeKeyframe.frame);
 
-            // Apply Bezier curve if present on the beforeKeyframe
+            // Apply the easing curve if present on the beforeKeyframe
             if (beforeKeyframe.curve) {
-                progress = this.evaluateBezierCurve(progress, beforeKeyframe.curve);
+                progress = this.evaluateCurve(progress, beforeKeyframe.curve);
             }
 
-            if (property === 'color') {
+            if (this.isColorProperty(property)) {
                 // Color interpolation
                 return this.interpolateColor(beforeKeyframe.value, afterKeyframe.value, progress);
+            } else if (property === 'fill') {
+                // Gradients are interpolated stop by stop, patterns by angle and scale
+                return this.interpolateFill(beforeKeyframe.value, afterKeyframe.value, progress);
             } else {
                 // Numeric interpolation
                 return beforeKeyframe.value + (afterKeyframe.value - beforeKeyframe.value) * progress;
@@ -1553,6 +1846,16 @@ class FontAnimationApp {
         }
     }
 
+    // Properties that can't be interpolated and always hold until the next keyframe
+    isSteppedProperty(property) {
+        return property.startsWith('feature:');
+    }
+
+    // Properties holding hex colors, interpolated channel by channel
+    isColorProperty(property) {
+        return property === 'color' || property === 'strokeColor' || /^effect:\d+:color$/.test(property);
+    }
+
     // Helper function to remove a keyframe
     removeKeyframe(textObject, property, frame) {
         if (!textObject.keyframes[property]) return;
@@ -1636,11 +1939,7 @@ class FontAnimationApp {
 
         for (let i = this.textObjects.length - 1; i >= 0; i--) {
             const obj = this.textObjects[i];
-            const props = this.getObjectPropertiesAtFrame(obj, this.currentFrame);
-
-            // Measure text with accurate font features applied
-            const metrics = this.measureTextWithFeatures(obj, props);
-            const bounds = this.getTextBounds(props, metrics, obj.textAlign);
+            const bounds = this.getAccurateTextBounds(obj);
 
             if (x >= bounds.left && x <= bounds.right &&
                 y >= bounds.top && y <= bounds.bottom) {
@@ -1672,7 +1971,24 @@ class FontAnimationApp {
         return this.selectedObject;
     }
 
-    measureTextWithFeatures(textObject, props) {
+    measureTextWithFeatures(textObject, props, text = textObject.text) {
+        return this.withMeasureContext(textObject, props, context => context.measureText(text));
+    }
+
+    // Width, height and lines of a text object laid out with the given properties
+    measureTextBlock(textObject, props) {
+        return this.withMeasureContext(textObject, props, context => {
+            return window.TextLayout.getBlockSize(textObject, props, text => context.measureText(text).width);
+        });
+    }
+
+    // Lines of a text object as laid out at a frame, for exporters that place line breaks themselves
+    getTextLines(textObject, frame) {
+        const props = this.getObjectPropertiesAtFrame(textObject, frame);
+        return this.measureTextBlock(textObject, props).lines;
+    }
+
+    withMeasureContext(textObject, props, callback) {
         // Create temporary canvas for accurate text measurement with font features
         const tempCanvas = document.createElement('canvas');
         const tempCtx = tempCanvas.getContext('2d');
@@ -1704,10 +2020,10 @@ class FontAnimationApp {
                 // Use fallback font
                 tempCtx.font = `${props.fontSize}px Arial, sans-serif`;
             }
+            window.TextLayout.applySpacing(tempCtx, props);
 
             // Measure the text with the applied features
-            const metrics = tempCtx.measureText(textObject.text);
-            return metrics;
+            return callback(tempCtx);
 
         } finally {
             // Clean up the temporary canvas
@@ -1723,10 +2039,10 @@ class FontAnimationApp {
         const props = this.getObjectPropertiesAtFrame(obj, frameToUse);
 
         // Measure text with accurate font features applied
-        const metrics = this.measureTextWithFeatures(obj, props);
+        const size = this.measureTextBlock(obj, props);
 
         // Return accurate bounds
-        return this.getTextBounds(props, metrics, obj.textAlign);
+        return this.getTextBounds(props, size, obj.textAlign);
     }
 
     applyFontFeaturesToTempCanvas(canvas, fontFamily, fontSize, variableAxes = {}, openTypeFeatures = {}) {
@@ -1779,23 +2095,26 @@ class FontAnimationApp {
         }
     }
 
-    getTextBounds(props, metrics, textAlign = 'left') {
+    // Bounds of text measured as { width, height }; text measurements without a height
+    // count as a single line
+    getTextBounds(props, size, textAlign = 'left') {
         const padding = 5;
+        const height = size.height || props.fontSize;
         let left, right;
 
         switch (textAlign) {
             case 'center':
-                left = props.x - metrics.width / 2 - padding;
-                right = props.x + metrics.width / 2 + padding;
+                left = props.x - size.width / 2 - padding;
+                right = props.x + size.width / 2 + padding;
                 break;
             case 'right':
-                left = props.x - metrics.width - padding;
+                left = props.x - size.width - padding;
                 right = props.x + padding;
                 break;
             case 'left':
             default:
                 left = props.x - padding;
-                right = props.x + metrics.width + padding;
+                right = props.x + size.width + padding;
                 break;
         }
 
@@ -1803,7 +2122,7 @@ class FontAnimationApp {
             left: left,
             top: props.y - padding,
             right: right,
-            bottom: props.y + props.fontSize + padding
+            bottom: props.y + height + padding
         };
     }
 
@@ -1889,8 +2208,33 @@ class FontAnimationApp {
     drawTextObject(obj) {
         this.ctx.save();
 
-        const props = this.getObjectPropertiesAtFrame(obj, this.currentFrame);
+        const measure = (text, props) => {
+            this.applyTextStyle(obj, props);
+            const width = this.ctx.measureText(text).width;
+            this.clearTextStyle();
+            return width;
+        };
+
+        window.TextLayout.getRuns(this, obj, this.currentFrame, measure).forEach(run => {
+            this.applyTextStyle(obj, run.props, run.bounds);
+            this.ctx.textAlign = run.textAlign;
+
+            // Render text with OpenType features if needed
+            if (this._pendingOpenTypeFeatures) {
+                this.renderTextWithOpenTypeFeatures(run, this._pendingOpenTypeFeatures);
+            } else {
+                window.TextEffects.drawRun(this.ctx, run);
+            }
+
+            this.clearTextStyle();
+        });
 
+        this.ctx.restore();
+    }
+
+    // Set font, variable axes, OpenType features and fill for a text object's properties,
+    // gradient fills span the given bounds
+    applyTextStyle(obj, props, bounds = null) {
         // Check if font is available in both our font map and document.fonts
         const fontAvailable = this.fonts.has(obj.fontFamily) && this.isFontLoaded(obj.fontFamily);
 
@@ -1913,19 +2257,16 @@ class FontAnimationApp {
             this.ctx.font = fontString;
         }
 
-        this.ctx.fillStyle = props.color;
+        window.TextLayout.applySpacing(this.ctx, props);
+        window.TextLayout.applyPaint(this.ctx, props, bounds);
         this.ctx.textBaseline = 'top';
         this.ctx.textAlign = obj.textAlign || 'left';
+    }
 
-        // Render text with OpenType features if needed
-        if (this._pendingOpenTypeFeatures) {
-            this.renderTextWithOpenTypeFeatures(obj.text, props.x, props.y, this._pendingOpenTypeFeatures);
-            delete this._pendingOpenTypeFeatures;
-        } else {
-            this.ctx.fillText(obj.text, props.x, props.y);
-        }
+    // Clean up canvas styles applied for variable axes and OpenType features
+    clearTextStyle() {
+        delete this._pendingOpenTypeFeatures;
 
-        // Clean up canvas styles if variable axes were applied
         if (this._originalCanvasStyles) {
             const canvas = this.ctx.canvas;
             canvas.style.fontFamily = this._originalCanvasStyles.fontFamily || '';
@@ -1933,12 +2274,10 @@ class FontAnimationApp {
             canvas.style.fontSize = '';
             delete this._originalCanvasStyles;
         }
-
-        this.ctx.restore();
     }
 
     // Render text with OpenType features using enhanced canvas approach
-    renderTextWithOpenTypeFeatures(text, x, y, featureSettings) {
+    renderTextWithOpenTypeFeatures(run, featureSettings) {
         try {
 
             // Try the canvas CSS approach with forced repaint
@@ -1955,7 +2294,7 @@ class FontAnimationApp {
             this.ctx.font = `${featureSettings.fontSize}px "${featureSettings.fontFamily}"`;
 
             // Render text
-            this.ctx.fillText(text, x, y);
+            window.TextEffects.drawRun(this.ctx, run);
 
             // Restore canvas styles
             canvas.style.fontFeatureSettings = originalFontFeatureSettings;
@@ -1963,7 +2302,7 @@ class FontAnimationApp {
         } catch (error) {
             console.warn('Failed to render text with OpenType features:', error);
             // Fallback to regular text rendering
-            this.ctx.fillText(text, x, y);
+            window.TextEffects.drawRun(this.ctx, run);
         }
     }    // Apply font features (variable axes and OpenType features) to canvas context
     applyFontFeaturesToCanvas(fontFamily, fontSize, variableAxes = {}, openTypeFeatures = {}) {
@@ -2057,14 +2396,14 @@ class FontAnimationApp {
         const props = this.getObjectPropertiesAtFrame(obj, this.currentFrame);
 
         // Measure text with accurate font features applied
-        const metrics = this.measureTextWithFeatures(obj, props);
+        const size = this.measureTextBlock(obj, props);
 
         this.ctx.save();
         this.ctx.strokeStyle = '#0078d4';
         this.ctx.lineWidth = 2;
         this.ctx.setLineDash([8, 4]);
 
-        const bounds = this.getTextBounds(props, metrics, obj.textAlign);
+        const bounds = this.getTextBounds(props, size, obj.textAlign);
         this.ctx.strokeRect(bounds.left, bounds.top,
             bounds.right - bounds.left, bounds.bottom - bounds.top);
 
@@ -2098,11 +2437,28 @@ class FontAnimationApp {
             x: this.getPropertyValue(obj, 'x', frame),
             y: this.getPropertyValue(obj, 'y', frame),
             fontSize: this.getPropertyValue(obj, 'fontSize', frame),
+            lineHeight: this.getPropertyValue(obj, 'lineHeight', frame),
+            letterSpacing: this.getPropertyValue(obj, 'letterSpacing', frame),
+            wordSpacing: this.getPropertyValue(obj, 'wordSpacing', frame),
             color: this.getPropertyValue(obj, 'color', frame),
+            fill: this.getPropertyValue(obj, 'fill', frame) || null,
+            opacity: this.getPropertyValue(obj, 'opacity', frame),
+            blur: this.getPropertyValue(obj, 'blur', frame),
+            strokeWidth: this.getPropertyValue(obj, 'strokeWidth', frame),
+            strokeColor: this.getPropertyValue(obj, 'strokeColor', frame),
+            effects: window.TextEffects.getEffectsAtFrame(this, obj, frame),
             variableAxes: {},
-            openTypeFeatures: obj.openTypeFeatures || {}
+            openTypeFeatures: { ...obj.openTypeFeatures }
         };
 
+        // Animated OpenType features override the object's feature settings
+        [...Object.keys(obj.keyframes), ...Object.keys(obj.initialState || {})].forEach(property => {
+            if (property.startsWith('feature:')) {
+                const featureTag = property.replace('feature:', '');
+                props.openTypeFeatures[featureTag] = this.getPropertyValue(obj, property, frame);
+            }
+        });
+
         // Collect all variable axis properties from keyframes and initialState
         const variableAxisProperties = new Set();
 
@@ -2134,7 +2490,7 @@ class FontAnimationApp {
     interpolateProperties(start, end, t, curve = null) {
         // Apply curve if available
         if (curve) {
-            t = this.evaluateBezierCurve(t, curve);
+            t = this.evaluateCurve(t, curve);
         }
 
         return {
@@ -2153,13 +2509,46 @@ class FontAnimationApp {
 
         if (!c1 || !c2) return color1;
 
-        const r = Math.round(c1.r + (c2.r - c1.r) * t);
-        const g = Math.round(c1.g + (c2.g - c1.g) * t);
-        const b = Math.round(c1.b + (c2.b - c1.b) * t);
+        // Curves may overshoot, so channels are clamped to valid values
+        const channel = (from, to) => Math.max(0, Math.min(255, Math.round(from + (to - from) * t)));
+        const r = channel(c1.r, c2.r);
+        const g = channel(c1.g, c2.g);
+        const b = channel(c1.b, c2.b);
 
         return this.rgbToHex(r, g, b);
     }
 
+    // Gradients of the same type with the same number of stops blend their angle and
+    // each stop, patterns of the same image blend their angle and scale. Other fills
+    // switch at the next keyframe.
+    interpolateFill(fill1, fill2, t) {
+        if (!fill1 || !fill2 || fill1.type !== fill2.type) {
+            return fill1;
+        }
+
+        if (fill1.type === 'pattern') {
+            if (fill1.image !== fill2.image) return fill1;
+            return {
+                ...fill1,
+                angle: fill1.angle + (fill2.angle - fill1.angle) * t,
+                scale: fill1.scale + (fill2.scale - fill1.scale) * t
+            };
+        }
+
+        if (fill1.stops.length !== fill2.stops.length) {
+            return fill1;
+        }
+
+        return {
+            type: fill1.type,
+            angle: fill1.angle + (fill2.angle - fill1.angle) * t,
+            stops: fill1.stops.map((stop, index) => ({
+                offset: stop.offset + (fill2.stops[index].offset - stop.offset) * t,
+                color: this.interpolateColor(stop.color, fill2.stops[index].color, t)
+            }))
+        };
+    }
+
     interpolateVariableAxes(axes1, axes2, t) {
         const result = { ...axes1 };
 
@@ -2172,6 +2561,14 @@ class FontAnimationApp {
         return result;
     }
 
+    // Eased progress for a keyframe curve, a cubic bezier unless it has another type
+    evaluateCurve(t, curve) {
+        if (window.Easing.getType(curve) !== 'bezier') {
+            return window.Easing.evaluate(t, curve);
+        }
+        return this.evaluateBezierCurve(t, curve);
+    }
+
     evaluateBezierCurve(t, curve) {
         // Handle edge cases
         if (t <= 0) return 0;
@@ -2271,7 +2668,8 @@ class FontAnimationApp {
             canvasHeight: this.canvasHeight,
             canvasBackground: this.canvasBackground,
             frameRate: this.frameRate,
-            duration: this.duration
+            duration: this.duration,
+            workArea: this.workArea ? { ...this.workArea } : null
         };
 
         if (this.historyIndex < this.history.length - 1) {
@@ -2284,6 +2682,10 @@ class FontAnimationApp {
         } else {
             this.historyIndex++;
         }
+
+        if (this.autosaveManager) {
+            this.autosaveManager.markDirty();
+        }
     }
 
     undo() {
@@ -2316,6 +2718,7 @@ class FontAnimationApp {
         this.canvasBackground = state.canvasBackground || '#ffffff';
         this.frameRate = state.frameRate;
         this.duration = state.duration;
+        this.workArea = state.workArea ? { ...state.workArea } : null;
 
         // Update UI
         document.getElementById('canvasWidth').value = this.canvasWidth;
@@ -2466,6 +2869,47 @@ class FontAnimationApp {
         }
     }
 
+    // Inclusive frame range of the work area, clamped to the current timeline length
+    getWorkArea() {
+        const lastFrame = Math.max(0, this.totalFrames - 1);
+        if (!this.workArea) {
+            return { start: 0, end: lastFrame };
+        }
+
+        const start = Math.max(0, Math.min(this.workArea.start, lastFrame));
+        const end = Math.max(start, Math.min(this.workArea.end, lastFrame));
+        return { start, end };
+    }
+
+    setWorkArea(start, end) {
+        const lastFrame = Math.max(0, this.totalFrames - 1);
+        start = Math.max(0, Math.min(Math.round(start), lastFrame));
+        end = Math.max(0, Math.min(Math.round(end), lastFrame));
+
+        // Setting one point past the other collapses the range onto it
+        if (end < start) {
+            if (start !== this.getWorkArea().start) {
+                end = start;
+            } else {
+                start = end;
+            }
+        }
+
+        // A work area covering the whole timeline is the same as none
+        this.workArea = (start === 0 && end === lastFrame) ? null : { start, end };
+
+        if (this.timeline) {
+            this.timeline.updateWorkArea();
+        }
+    }
+
+    clearWorkArea() {
+        this.workArea = null;
+        if (this.timeline) {
+            this.timeline.updateWorkArea();
+        }
+    }
+
     setCurrentFrame(frame) {
         this.currentFrame = frame;
         if (this.timeline) {
@@ -2665,6 +3109,7 @@ class FontAnimationApp {
         this.canvasBackground = window.AppSettings?.get('canvasBackground') || '#ffffff';
         this.frameRate = 30;
         this.duration = 5;
+        this.workArea = null;
         this.history = [];
         this.historyIndex = -1;
         this.missingFonts.clear(); // Clear any previously missing fonts
@@ -2684,9 +3129,10 @@ class FontAnimationApp {
         this.redraw();
     }
 
-    saveProject() {
+    // Build the serializable project structure, optionally embedding font binaries
+    async getProjectData(options = {}) {
         const project = {
-            version: '1.0',
+            version: window.ProjectSchema.CURRENT_VERSION,
             textObjects: this.textObjects,
             settings: {
                 canvasWidth: this.canvasWidth,
@@ -2698,6 +3144,30 @@ class FontAnimationApp {
             fonts: Array.from(this.fonts.keys())
         };
 
+        if (this.workArea) {
+            project.settings.workArea = { ...this.workArea };
+        }
+
+        // Self-contained projects carry the font binaries so they open anywhere
+        if (options.embedFonts) {
+            project.embeddedFonts = await this.fontManager.serializeFonts();
+        }
+
+        return project;
+    }
+
+    async saveProject(options = {}) {
+        let project;
+        try {
+            project = await this.getProjectData(options);
+        } catch (error) {
+            console.error('Error embedding fonts:', error);
+            if (window.UIManager) {
+                window.UIManager.createNotification('Error embedding fonts: ' + error.message, 'error');
+            }
+            return;
+        }
+
         const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
@@ -2705,23 +3175,57 @@ class FontAnimationApp {
         a.download = 'animation.json';
         a.click();
         URL.revokeObjectURL(url);
+
+        // Plain saves only list font names, so the recovery session keeps the uploaded fonts
+        if (this.autosaveManager && options.embedFonts) {
+            this.autosaveManager.markClean();
+        }
     }
 
     openProject() {
         document.getElementById('openFileInput').click();
     }
 
+    // Ask for an image file and read it as a data URL, so pattern fills are saved with the
+    // project. Resolves null when no image is chosen.
+    choosePatternImage() {
+        return new Promise(resolve => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = 'image/*';
+            input.addEventListener('cancel', () => resolve(null));
+            input.addEventListener('change', () => {
+                const file = input.files[0];
+                if (!file) {
+                    resolve(null);
+                    return;
+                }
+
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => resolve(null);
+                reader.readAsDataURL(file);
+            });
+            input.click();
+        });
+    }
+
     loadProject(event) {
         const file = event.target.files[0];
         if (!file) return;
 
         const reader = new FileReader();
-        reader.onload = (e) => {
+        reader.onload = async (e) => {
             try {
                 const project = JSON.parse(e.target.result);
-                this.loadProjectData(project);
+                await this.loadProjectData(project);
+
+                // The opened file holds everything, there is nothing to recover yet
+                if (this.autosaveManager) {
+                    this.autosaveManager.markClean();
+                }
             } catch (error) {
-                console.error('Error loading project:', error);
+                console.error('Error loading project:', error.validationErrors || error);
                 if (window.UIManager) {
                     window.UIManager.createNotification('Error loading project file: ' + error.message, 'error');
                 }
@@ -2730,7 +3234,22 @@ class FontAnimationApp {
         reader.readAsText(file);
     }
 
-    loadProjectData(project) {
+    async loadProjectData(data) {
+        // Migrate and validate before touching any state so corrupt files are never half-loaded
+        const { project, warnings } = window.ProjectSchema.load(data);
+
+        if (warnings.length > 0) {
+            console.warn('Project file warnings:', warnings);
+            if (window.UIManager) {
+                window.UIManager.createNotification(`Project loaded with warnings: ${window.ProjectSchema.formatIssues(warnings)}`, 'warning');
+            }
+        }
+
+        // Register embedded fonts first so text objects resolve against them
+        if (project.embeddedFonts) {
+            await this.fontManager.loadEmbeddedFonts(project.embeddedFonts);
+        }
+
         const missingFonts = project.fonts.filter(fontName => !this.fonts.has(fontName));
 
         // Store missing fonts for later checking
@@ -2752,6 +3271,7 @@ class FontAnimationApp {
             this.canvasBackground = project.settings.canvasBackground || '#ffffff';
             this.frameRate = project.settings.frameRate;
             this.duration = project.settings.duration;
+            this.workArea = project.settings.workArea ? { ...project.settings.workArea } : null;
         }
 
         this.selectedObject = null;
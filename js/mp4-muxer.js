@@ -0,0 +1,215 @@
+// Minimal MP4 (ISO BMFF) muxer for WebCodecs H.264 output
+class MP4Muxer {
+    constructor({ width, height, frameRate }) {
+        this.width = width;
+        this.height = height;
+        this.frameRate = frameRate;
+        this.timescale = 90000;
+        this.samples = [];
+        this.decoderConfig = null;
+    }
+
+    // Store an EncodedVideoChunk in decode order. Browser H.264 encoders don't emit
+    // B-frames, so decode order equals presentation order and no ctts box is needed.
+    addChunk(chunk, metadata) {
+        if (metadata && metadata.decoderConfig && metadata.decoderConfig.description) {
+            const description = metadata.decoderConfig.description;
+            // Copy, since the encoder may reuse the underlying buffer
+            this.decoderConfig = ArrayBuffer.isView(description)
+                ? new Uint8Array(description.buffer, description.byteOffset, description.byteLength).slice()
+                : new Uint8Array(description).slice();
+        }
+
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        this.samples.push({
+            data: data,
+            timestamp: chunk.timestamp, // microseconds
+            duration: chunk.duration || Math.round(1e6 / this.frameRate),
+            isKey: chunk.type === 'key'
+        });
+    }
+
+    finalize() {
+        if (!this.decoderConfig) {
+            throw new Error('MP4 export failed: encoder did not provide an H.264 decoder configuration');
+        }
+
+        const toTimescale = (microseconds) => Math.round(microseconds * this.timescale / 1e6);
+
+        // Sample durations derived from timestamps so rounding never accumulates
+        const durations = this.samples.map((sample, index) => {
+            const next = this.samples[index + 1];
+            const end = next ? next.timestamp : sample.timestamp + sample.duration;
+            return toTimescale(end) - toTimescale(sample.timestamp);
+        });
+        const totalDuration = durations.reduce((sum, duration) => sum + duration, 0);
+
+        const ftyp = this.box('ftyp', [
+            this.fourcc('isom'), this.u32(512),
+            this.fourcc('isom'), this.fourcc('iso2'), this.fourcc('avc1'), this.fourcc('mp41')
+        ]);
+
+        const mdatPayloadSize = this.samples.reduce((sum, sample) => sum + sample.data.length, 0);
+
+        // moov goes before mdat so the file starts playing before it is fully downloaded.
+        // Its size doesn't depend on the chunk offset value, so build it twice.
+        let moov = this.moov(durations, totalDuration, 0);
+        moov = this.moov(durations, totalDuration, ftyp.length + moov.length + 8);
+
+        const mdatHeader = new Uint8Array(8);
+        new DataView(mdatHeader.buffer).setUint32(0, mdatPayloadSize + 8);
+        mdatHeader.set(this.fourcc('mdat'), 4);
+
+        return new Blob([ftyp, moov, mdatHeader, ...this.samples.map(sample => sample.data)], { type: 'video/mp4' });
+    }
+
+    moov(durations, totalDuration, chunkOffset) {
+        const matrix = [
+            this.u32(0x00010000), this.u32(0), this.u32(0),
+            this.u32(0), this.u32(0x00010000), this.u32(0),
+            this.u32(0), this.u32(0), this.u32(0x40000000)
+        ];
+
+        const mvhd = this.fullBox('mvhd', 0, 0, [
+            this.u32(0), this.u32(0), // creation and modification time
+            this.u32(this.timescale),
+            this.u32(totalDuration),
+            this.u32(0x00010000), // rate 1.0
+            this.u16(0x0100), this.u16(0), // volume 1.0, reserved
+            this.u32(0), this.u32(0),
+            ...matrix,
+            new Uint8Array(24), // pre_defined
+            this.u32(2) // next_track_ID
+        ]);
+
+        const tkhd = this.fullBox('tkhd', 0, 3, [
+            this.u32(0), this.u32(0), // creation and modification time
+            this.u32(1), // track_ID
+            this.u32(0),
+            this.u32(totalDuration),
+            this.u32(0), this.u32(0),
+            this.u16(0), this.u16(0), // layer, alternate_group
+            this.u16(0), this.u16(0), // volume, reserved
+            ...matrix,
+            this.u32(this.width * 0x10000),
+            this.u32(this.height * 0x10000)
+        ]);
+
+        const mdhd = this.fullBox('mdhd', 0, 0, [
+            this.u32(0), this.u32(0),
+            this.u32(this.timescale),
+            this.u32(totalDuration),
+            this.u16(0x55C4), // language 'und'
+            this.u16(0)
+        ]);
+
+        const hdlr = this.fullBox('hdlr', 0, 0, [
+            this.u32(0),
+            this.fourcc('vide'),
+            new Uint8Array(12),
+            new TextEncoder().encode('VideoHandler\0')
+        ]);
+
+        const vmhd = this.fullBox('vmhd', 0, 1, [new Uint8Array(8)]);
+        const dinf = this.box('dinf', [
+            this.fullBox('dref', 0, 0, [this.u32(1), this.fullBox('url ', 0, 1, [])])
+        ]);
+
+        const avc1 = this.box('avc1', [
+            new Uint8Array(6), this.u16(1), // reserved, data_reference_index
+            new Uint8Array(16), // pre_defined and reserved
+            this.u16(this.width), this.u16(this.height),
+            this.u32(0x00480000), this.u32(0x00480000), // 72 dpi
+            this.u32(0),
+            this.u16(1), // frame_count
+            new Uint8Array(32), // compressorname
+            this.u16(0x0018), // depth
+            this.u16(0xFFFF), // pre_defined -1
+            this.box('avcC', [this.decoderConfig])
+        ]);
+
+        // Run-length encoded sample durations
+        const sttsEntries = [];
+        durations.forEach(duration => {
+            const last = sttsEntries[sttsEntries.length - 1];
+            if (last && last.duration === duration) {
+                last.count++;
+            } else {
+                sttsEntries.push({ count: 1, duration: duration });
+            }
+        });
+
+        const syncSamples = [];
+        this.samples.forEach((sample, index) => {
+            if (sample.isKey) syncSamples.push(index + 1);
+        });
+
+        const stbl = this.box('stbl', [
+            this.fullBox('stsd', 0, 0, [this.u32(1), avc1]),
+            this.fullBox('stts', 0, 0, [
+                this.u32(sttsEntries.length),
+                ...sttsEntries.flatMap(entry => [this.u32(entry.count), this.u32(entry.duration)])
+            ]),
+            this.fullBox('stss', 0, 0, [this.u32(syncSamples.length), ...syncSamples.map(index => this.u32(index))]),
+            // All samples live in a single chunk
+            this.fullBox('stsc', 0, 0, [this.u32(1), this.u32(1), this.u32(this.samples.length), this.u32(1)]),
+            this.fullBox('stsz', 0, 0, [
+                this.u32(0),
+                this.u32(this.samples.length),
+                ...this.samples.map(sample => this.u32(sample.data.length))
+            ]),
+            this.fullBox('stco', 0, 0, [this.u32(1), this.u32(chunkOffset)])
+        ]);
+
+        return this.box('moov', [
+            mvhd,
+            this.box('trak', [
+                tkhd,
+                this.box('mdia', [
+                    mdhd,
+                    hdlr,
+                    this.box('minf', [vmhd, dinf, stbl])
+                ])
+            ])
+        ]);
+    }
+
+    box(type, contents) {
+        const size = 8 + contents.reduce((sum, part) => sum + part.length, 0);
+        const bytes = new Uint8Array(size);
+        new DataView(bytes.buffer).setUint32(0, size);
+        bytes.set(this.fourcc(type), 4);
+
+        let offset = 8;
+        contents.forEach(part => {
+            bytes.set(part, offset);
+            offset += part.length;
+        });
+        return bytes;
+    }
+
+    fullBox(type, version, flags, contents) {
+        const header = new Uint8Array([version, (flags >> 16) & 0xFF, (flags >> 8) & 0xFF, flags & 0xFF]);
+        return this.box(type, [header, ...contents]);
+    }
+
+    fourcc(string) {
+        return new Uint8Array([...string].map(char => char.charCodeAt(0)));
+    }
+
+    u16(value) {
+        const bytes = new Uint8Array(2);
+        new DataView(bytes.buffer).setUint16(0, value);
+        return bytes;
+    }
+
+    u32(value) {
+        const bytes = new Uint8Array(4);
+        new DataView(bytes.buffer).setUint32(0, value);
+        return bytes;
+    }
+}
+
+// Make MP4Muxer available globally
+window.MP4Muxer = MP4Muxer;
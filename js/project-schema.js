@@ -0,0 +1,621 @@
+// Project file schema validation and version migrations
+class ProjectSchema {
+    static get CURRENT_VERSION() {
+        return '1.2';
+    }
+
+    // Each migration upgrades a project from its key version to the `to` version.
+    // Migrations run in sequence until the project reaches CURRENT_VERSION, reporting
+    // the values they had to change through warn(path, message).
+    static get migrations() {
+        return {
+            '1.0': {
+                to: '1.1',
+                migrate: (project, warn) => {
+                    (project.textObjects || []).forEach((obj, index) => {
+                        if (!obj || typeof obj !== 'object') return;
+
+                        if (obj.textAlign === undefined) obj.textAlign = 'left';
+                        if (obj.openTypeFeatures === undefined) obj.openTypeFeatures = {};
+                        if (obj.initialState === undefined) obj.initialState = {};
+                        if (obj.keyframes === undefined) obj.keyframes = {};
+
+                        // Early files stored variable axes under their bare tag (e.g. "wght")
+                        if (obj.keyframes && typeof obj.keyframes === 'object' && !Array.isArray(obj.keyframes)) {
+                            Object.keys(obj.keyframes).forEach(key => {
+                                if (this.getPropertyValidator(key) || !/^[a-zA-Z0-9]{4}$/.test(key)) return;
+
+                                const axisKey = `variableaxis:${key}`;
+                                if (obj.keyframes[axisKey] === undefined) {
+                                    obj.keyframes[axisKey] = obj.keyframes[key];
+                                }
+                                delete obj.keyframes[key];
+                            });
+                        }
+
+                        this.clampLegacyProperty(obj, 'fontSize', `textObjects[${index}]`, warn);
+                    });
+
+                    const settings = project.settings;
+                    if (settings && typeof settings === 'object' && !Array.isArray(settings)) {
+                        Object.entries(this.SETTING_RANGES).forEach(([key, range]) => {
+                            settings[key] = this.clampLegacyValue(settings[key], range, `settings.${key}`, warn);
+                        });
+                    }
+
+                    if (project.fonts === undefined) project.fonts = [];
+                    return project;
+                }
+            },
+            // 1.2 only adds optional fields, so 1.1 files are valid as they are. The bump
+            // lets older builds refuse files using fields they would drop.
+            '1.1': {
+                to: '1.2',
+                migrate: (project) => project
+            }
+        };
+    }
+
+    // 1.0 editors clamped out of range values instead of rejecting them, so their files
+    // are clamped to today's limits on the way up
+    static clampLegacyValue(value, range, path, warn) {
+        const clamped = this.clampToRange(value, range, value);
+        if (clamped !== value) warn(path, `${value} is out of range, clamped to ${clamped}`);
+        return clamped;
+    }
+
+    static clampLegacyProperty(obj, property, path, warn) {
+        const range = this.PROPERTY_RANGES[property];
+
+        if (obj.initialState && typeof obj.initialState === 'object' && property in obj.initialState) {
+            obj.initialState[property] = this.clampLegacyValue(obj.initialState[property], range,
+                `${path}.initialState.${property}`, warn);
+        }
+
+        const keyframes = obj.keyframes && obj.keyframes[property];
+        if (!Array.isArray(keyframes)) return;
+        keyframes.forEach((keyframe, index) => {
+            if (keyframe && typeof keyframe === 'object') {
+                keyframe.value = this.clampLegacyValue(keyframe.value, range,
+                    `${path}.keyframes.${property}[${index}].value`, warn);
+            }
+        });
+    }
+
+    // Limits of bounded animatable properties. The editor clamps its inputs to them, so
+    // every project it saves can be loaded again.
+    static get PROPERTY_RANGES() {
+        return {
+            fontSize: { min: 1, max: 2000 },
+            lineHeight: { min: 0.1, max: 10 },
+            opacity: { min: 0, max: 100 },
+            blur: { min: 0, max: 1000 },
+            strokeWidth: { min: 0, max: 1000 },
+            'range:start': { min: 0, max: 100 },
+            'range:end': { min: 0, max: 100 },
+            'range:offset': { min: -100, max: 100 }
+        };
+    }
+
+    // Limits of bounded effect parameters, also used by the effect inputs
+    static get EFFECT_PARAMETER_RANGES() {
+        return {
+            blur: { min: 0, max: 1000 },
+            opacity: { min: 0, max: 100 }
+        };
+    }
+
+    // Limits of the numeric project settings, also used by the editor's inputs
+    static get SETTING_RANGES() {
+        return {
+            canvasWidth: { min: 100, max: 8000 },
+            canvasHeight: { min: 100, max: 8000 },
+            frameRate: { min: 1, max: 120 },
+            duration: { min: 0.1, max: 300 }
+        };
+    }
+
+    // A value clamped into a range, or the fallback when it isn't a number
+    static clampToRange(value, range, fallback) {
+        if (!this.isFiniteNumber(value)) return fallback;
+        return Math.max(range.min, Math.min(range.max, value));
+    }
+
+    // Validators for animatable properties, used for initialState and keyframe values
+    static get propertyValidators() {
+        const ranges = this.PROPERTY_RANGES;
+        const checkRange = property => (value) => this.checkRange(value, ranges[property].min, ranges[property].max);
+
+        return {
+            x: (value) => this.isFiniteNumber(value) ? null : 'must be a number',
+            y: (value) => this.isFiniteNumber(value) ? null : 'must be a number',
+            fontSize: checkRange('fontSize'),
+            lineHeight: checkRange('lineHeight'),
+            letterSpacing: (value) => this.isFiniteNumber(value) ? null : 'must be a number',
+            wordSpacing: (value) => this.isFiniteNumber(value) ? null : 'must be a number',
+            color: (value) => this.isHexColor(value) ? null : 'must be a hex color like "#ff0000"',
+            fill: (value) => this.checkFill(value),
+            opacity: checkRange('opacity'),
+            blur: checkRange('blur'),
+            strokeWidth: checkRange('strokeWidth'),
+            strokeColor: (value) => this.isHexColor(value) ? null : 'must be a hex color like "#ff0000"',
+            'range:start': checkRange('range:start'),
+            'range:end': checkRange('range:end'),
+            'range:offset': checkRange('range:offset')
+        };
+    }
+
+    // Validators for the parameters of effects, animatable as effect:<id>:<parameter>
+    static get effectParameterValidators() {
+        const ranges = this.EFFECT_PARAMETER_RANGES;
+        return {
+            offsetX: (value) => this.isFiniteNumber(value) ? null : 'must be a number',
+            offsetY: (value) => this.isFiniteNumber(value) ? null : 'must be a number',
+            blur: (value) => this.checkRange(value, ranges.blur.min, ranges.blur.max),
+            color: (value) => this.isHexColor(value) ? null : 'must be a hex color like "#ff0000"',
+            opacity: (value) => this.checkRange(value, ranges.opacity.min, ranges.opacity.max)
+        };
+    }
+
+    static getPropertyValidator(property) {
+        if (property.startsWith('variableaxis:')) {
+            return (value) => this.isFiniteNumber(value) ? null : 'must be a number';
+        }
+        if (property.startsWith('feature:')) {
+            return (value) => typeof value === 'boolean' ? null : 'must be true or false';
+        }
+        if (property.startsWith('effect:')) {
+            const effect = window.TextEffects.parseProperty(property);
+            return (effect && this.effectParameterValidators[effect.parameter]) || null;
+        }
+        return this.propertyValidators[property] || null;
+    }
+
+    // Migrate and validate raw project data. Returns { project, warnings } or throws
+    // an error carrying all validation errors, leaving the input untouched.
+    static load(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw this.createValidationError([{ path: '(root)', message: 'must be an object' }]);
+        }
+
+        const migrationWarnings = [];
+        const project = this.migrate(JSON.parse(JSON.stringify(data)), (path, message) => migrationWarnings.push({ path, message }));
+        const { errors, warnings } = this.validate(project);
+
+        if (errors.length > 0) {
+            throw this.createValidationError(errors);
+        }
+
+        return { project, warnings: [...migrationWarnings, ...warnings] };
+    }
+
+    static migrate(project, warn = () => {}) {
+        let version = project.version === undefined ? '1.0' : String(project.version);
+
+        if (this.compareVersions(version, this.CURRENT_VERSION) > 0) {
+            throw this.createValidationError([{
+                path: 'version',
+                message: `file version ${version} is newer than the supported version ${this.CURRENT_VERSION}`
+            }]);
+        }
+
+        while (version !== this.CURRENT_VERSION) {
+            const migration = this.migrations[version];
+            if (!migration) {
+                throw this.createValidationError([{ path: 'version', message: `unknown file version ${version}` }]);
+            }
+
+            project = migration.migrate(project, warn);
+            version = migration.to;
+            project.version = version;
+        }
+
+        return project;
+    }
+
+    static validate(project) {
+        const errors = [];
+        const warnings = [];
+        const error = (path, message) => errors.push({ path, message });
+        const warn = (path, message) => warnings.push({ path, message });
+
+        this.checkUnknownFields(project, ['version', 'textObjects', 'settings', 'fonts', 'embeddedFonts'], '', warn);
+
+        // Text objects
+        if (!Array.isArray(project.textObjects)) {
+            error('textObjects', 'must be an array');
+        } else {
+            const ids = new Set();
+            project.textObjects.forEach((obj, index) => {
+                const path = `textObjects[${index}]`;
+                this.validateTextObject(obj, path, error, warn);
+
+                if (obj && ids.has(obj.id)) {
+                    error(`${path}.id`, `duplicate id ${obj.id}`);
+                } else if (obj) {
+                    ids.add(obj.id);
+                }
+            });
+        }
+
+        // Settings
+        const settings = project.settings;
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            error('settings', 'must be an object');
+        } else {
+            this.checkUnknownFields(settings, ['canvasWidth', 'canvasHeight', 'canvasBackground', 'frameRate', 'duration', 'workArea'], 'settings', warn);
+
+            const ranges = this.SETTING_RANGES;
+            const checks = {
+                canvasBackground: this.isHexColor(settings.canvasBackground) ? null : 'must be a hex color like "#ffffff"'
+            };
+            Object.entries(ranges).forEach(([key, range]) => {
+                checks[key] = this.checkRange(settings[key], range.min, range.max);
+            });
+
+            Object.entries(checks).forEach(([key, message]) => {
+                if (message) error(`settings.${key}`, message);
+            });
+
+            // Work area is optional, frames are inclusive
+            const workArea = settings.workArea;
+            if (workArea !== undefined) {
+                if (!workArea || typeof workArea !== 'object' || Array.isArray(workArea)) {
+                    error('settings.workArea', 'must be an object');
+                } else {
+                    ['start', 'end'].forEach(key => {
+                        if (!Number.isInteger(workArea[key]) || workArea[key] < 0) {
+                            error(`settings.workArea.${key}`, 'must be a non-negative integer');
+                        }
+                    });
+                    if (workArea.end < workArea.start) {
+                        error('settings.workArea.end', `must not be before start (${workArea.start})`);
+                    }
+                }
+            }
+        }
+
+        // Fonts
+        if (!Array.isArray(project.fonts)) {
+            error('fonts', 'must be an array');
+        } else {
+            project.fonts.forEach((font, index) => {
+                if (typeof font !== 'string') error(`fonts[${index}]`, 'must be a string');
+            });
+        }
+
+        // Embedded fonts
+        if (project.embeddedFonts !== undefined) {
+            if (!project.embeddedFonts || typeof project.embeddedFonts !== 'object' || Array.isArray(project.embeddedFonts)) {
+                error('embeddedFonts', 'must be an object');
+            } else {
+                Object.entries(project.embeddedFonts).forEach(([fontName, entry]) => {
+                    const path = `embeddedFonts[${JSON.stringify(fontName)}]`;
+                    if (!entry || typeof entry !== 'object' || typeof entry.data !== 'string' || entry.data.length === 0) {
+                        error(`${path}.data`, 'must be a base64 string');
+                    }
+                });
+            }
+        }
+
+        return { errors, warnings };
+    }
+
+    static validateTextObject(obj, path, error, warn) {
+        if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+            error(path, 'must be an object');
+            return;
+        }
+
+        this.checkUnknownFields(obj, ['id', 'text', 'fontFamily', 'textAlign', 'boxWidth', 'openTypeFeatures', 'stagger', 'rangeSelector', 'effects', 'initialState', 'keyframes'], path, warn);
+
+        if (!this.isFiniteNumber(obj.id)) error(`${path}.id`, 'must be a number');
+        if (typeof obj.text !== 'string') error(`${path}.text`, 'must be a string');
+        if (typeof obj.fontFamily !== 'string') error(`${path}.fontFamily`, 'must be a string');
+        if (!['left', 'center', 'right'].includes(obj.textAlign)) {
+            error(`${path}.textAlign`, 'must be "left", "center" or "right"');
+        }
+
+        // Text box width is optional, without it lines only break at newlines
+        if (obj.boxWidth !== undefined && !(this.isFiniteNumber(obj.boxWidth) && obj.boxWidth > 0)) {
+            error(`${path}.boxWidth`, 'must be a positive number');
+        }
+
+        // OpenType features
+        if (!obj.openTypeFeatures || typeof obj.openTypeFeatures !== 'object' || Array.isArray(obj.openTypeFeatures)) {
+            error(`${path}.openTypeFeatures`, 'must be an object');
+        } else {
+            Object.entries(obj.openTypeFeatures).forEach(([tag, enabled]) => {
+                if (typeof enabled !== 'boolean') error(`${path}.openTypeFeatures.${tag}`, 'must be true or false');
+            });
+        }
+
+        // Glyph stagger is optional
+        if (obj.stagger !== undefined) {
+            this.validateStagger(obj.stagger, `${path}.stagger`, error, warn);
+        }
+
+        // Range selector is optional
+        if (obj.rangeSelector !== undefined) {
+            this.validateRangeSelector(obj.rangeSelector, `${path}.rangeSelector`, error, warn);
+        }
+
+        // Effects stack is optional
+        if (obj.effects !== undefined) {
+            this.validateEffects(obj.effects, `${path}.effects`, error, warn);
+        }
+
+        // Initial state
+        if (!obj.initialState || typeof obj.initialState !== 'object' || Array.isArray(obj.initialState)) {
+            error(`${path}.initialState`, 'must be an object');
+        } else {
+            Object.entries(obj.initialState).forEach(([property, value]) => {
+                const validator = this.getPropertyValidator(property);
+                if (!validator) {
+                    warn(`${path}.initialState.${property}`, 'unknown property');
+                    return;
+                }
+                const message = validator(value);
+                if (message) error(`${path}.initialState.${property}`, message);
+            });
+        }
+
+        // Keyframes
+        if (!obj.keyframes || typeof obj.keyframes !== 'object' || Array.isArray(obj.keyframes)) {
+            error(`${path}.keyframes`, 'must be an object');
+            return;
+        }
+
+        Object.entries(obj.keyframes).forEach(([property, keyframes]) => {
+            const propertyPath = `${path}.keyframes.${property}`;
+            const validator = this.getPropertyValidator(property);
+
+            if (!validator) {
+                warn(propertyPath, 'unknown property');
+                return;
+            }
+
+            if (!Array.isArray(keyframes)) {
+                error(propertyPath, 'must be an array');
+                return;
+            }
+
+            keyframes.forEach((keyframe, index) => {
+                this.validateKeyframe(keyframe, `${propertyPath}[${index}]`, validator, error, warn);
+            });
+        });
+    }
+
+    static validateStagger(stagger, path, error, warn) {
+        if (!stagger || typeof stagger !== 'object' || Array.isArray(stagger)) {
+            error(path, 'must be an object');
+            return;
+        }
+
+        this.checkUnknownFields(stagger, ['frames', 'order', 'seed'], path, warn);
+
+        const message = this.checkRange(stagger.frames, 0, 1000);
+        if (message) error(`${path}.frames`, message);
+
+        const orders = window.TextLayout.STAGGER_ORDERS;
+        if (!orders.includes(stagger.order)) {
+            error(`${path}.order`, `must be one of ${orders.map(order => `"${order}"`).join(', ')}`);
+        }
+
+        if (stagger.seed !== undefined && (!Number.isInteger(stagger.seed) || stagger.seed < 0)) {
+            error(`${path}.seed`, 'must be a non-negative integer');
+        }
+    }
+
+    static validateRangeSelector(selector, path, error, warn) {
+        if (!selector || typeof selector !== 'object' || Array.isArray(selector)) {
+            error(path, 'must be an object');
+            return;
+        }
+
+        this.checkUnknownFields(selector, ['shape', 'properties'], path, warn);
+
+        const shapes = window.TextLayout.RANGE_SHAPES;
+        if (!shapes.includes(selector.shape)) {
+            error(`${path}.shape`, `must be one of ${shapes.map(shape => `"${shape}"`).join(', ')}`);
+        }
+
+        if (!selector.properties || typeof selector.properties !== 'object' || Array.isArray(selector.properties)) {
+            error(`${path}.properties`, 'must be an object');
+            return;
+        }
+
+        // Amounts are offsets, except color which is the color selected glyphs blend to
+        Object.entries(selector.properties).forEach(([property, amount]) => {
+            const amountPath = `${path}.properties.${property}`;
+            if (property === 'color') {
+                if (!this.isHexColor(amount)) error(amountPath, 'must be a hex color like "#ff0000"');
+            } else if (['x', 'y', 'fontSize'].includes(property) || property.startsWith('variableaxis:')) {
+                if (!this.isFiniteNumber(amount)) error(amountPath, 'must be a number');
+            } else {
+                warn(amountPath, 'unknown property');
+            }
+        });
+    }
+
+    // Effects as [{ id, type }], their parameters are validated with the object's properties
+    static validateEffects(effects, path, error, warn) {
+        if (!Array.isArray(effects)) {
+            error(path, 'must be an array');
+            return;
+        }
+
+        const types = Object.keys(window.TextEffects.TYPES);
+        const ids = new Set();
+        effects.forEach((effect, index) => {
+            const effectPath = `${path}[${index}]`;
+            if (!effect || typeof effect !== 'object' || Array.isArray(effect)) {
+                error(effectPath, 'must be an object');
+                return;
+            }
+
+            this.checkUnknownFields(effect, ['id', 'type'], effectPath, warn);
+
+            if (!Number.isInteger(effect.id) || effect.id < 1) {
+                error(`${effectPath}.id`, 'must be a positive integer');
+            } else if (ids.has(effect.id)) {
+                error(`${effectPath}.id`, `duplicates effect ${effect.id}`);
+            }
+            ids.add(effect.id);
+
+            if (!types.includes(effect.type)) {
+                error(`${effectPath}.type`, `must be one of ${types.map(type => `"${type}"`).join(', ')}`);
+            }
+        });
+    }
+
+    static validateKeyframe(keyframe, path, validator, error, warn) {
+        if (!keyframe || typeof keyframe !== 'object' || Array.isArray(keyframe)) {
+            error(path, 'must be an object');
+            return;
+        }
+
+        this.checkUnknownFields(keyframe, ['frame', 'value', 'curve', 'hold'], path, warn);
+
+        if (!Number.isInteger(keyframe.frame) || keyframe.frame < 0) {
+            error(`${path}.frame`, 'must be a non-negative integer');
+        }
+
+        const message = validator(keyframe.value);
+        if (message) error(`${path}.value`, message);
+
+        if (keyframe.curve !== undefined) {
+            this.validateCurve(keyframe.curve, `${path}.curve`, error);
+        }
+
+        if (keyframe.hold !== undefined && typeof keyframe.hold !== 'boolean') {
+            error(`${path}.hold`, 'must be true or false');
+        }
+    }
+
+    static validateCurve(curve, path, error) {
+        if (!curve || typeof curve !== 'object' || Array.isArray(curve)) {
+            error(path, 'must be an object');
+            return;
+        }
+
+        // Curves without a type are cubic beziers
+        const types = window.Easing.TYPES;
+        if (curve.type !== undefined && !types.includes(curve.type)) {
+            error(`${path}.type`, `must be one of ${types.map(type => `"${type}"`).join(', ')}`);
+            return;
+        }
+
+        const check = (key, message) => {
+            if (message) error(`${path}.${key}`, message);
+        };
+        const checkPositive = (key) => {
+            check(key, !this.isFiniteNumber(curve[key]) || curve[key] <= 0 ? 'must be a positive number' : null);
+        };
+
+        switch (curve.type) {
+            case 'spring':
+                checkPositive('mass');
+                checkPositive('stiffness');
+                checkPositive('damping');
+                return;
+            case 'bounce':
+                check('bounces', Number.isInteger(curve.bounces) ? this.checkRange(curve.bounces, 0, 20) : 'must be an integer');
+                check('bounciness', this.checkRange(curve.bounciness, 0, 0.95));
+                return;
+            case 'elastic':
+                check('amplitude', this.checkRange(curve.amplitude, 1, 10));
+                checkPositive('period');
+                return;
+            case 'steps':
+                check('steps', Number.isInteger(curve.steps) ? this.checkRange(curve.steps, 1, 1000) : 'must be an integer');
+                check('position', ['start', 'end'].includes(curve.position) ? null : 'must be "start" or "end"');
+                return;
+        }
+
+        // X values must stay within 0-1 for the curve to be solvable, Y values may overshoot
+        ['x1', 'x2'].forEach(key => {
+            const message = this.checkRange(curve[key], 0, 1);
+            if (message) error(`${path}.${key}`, message);
+        });
+        ['y1', 'y2'].forEach(key => {
+            if (!this.isFiniteNumber(curve[key])) error(`${path}.${key}`, 'must be a number');
+        });
+    }
+
+    static checkUnknownFields(object, knownFields, path, warn) {
+        Object.keys(object).forEach(key => {
+            // Underscore fields are transient editor state
+            if (key.startsWith('_') || knownFields.includes(key)) return;
+            warn(path ? `${path}.${key}` : key, 'unknown field');
+        });
+    }
+
+    // Gradient fills as { type, angle, stops: [{ offset, color }] } with at least two stops,
+    // pattern fills as { type: 'pattern', angle, scale, image } with the image as a data URL
+    static checkFill(value) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be a fill object';
+
+        const types = window.TextLayout.FILL_TYPES;
+        if (!types.includes(value.type)) return `type must be one of ${types.map(type => `"${type}"`).join(', ')}`;
+        if (!this.isFiniteNumber(value.angle)) return 'angle must be a number';
+
+        if (value.type === 'pattern') {
+            if (!this.isFiniteNumber(value.scale) || value.scale <= 0) return 'scale must be a positive number';
+            if (typeof value.image !== 'string' || !value.image.startsWith('data:image/')) return 'image must be an image data URL';
+            return null;
+        }
+        if (!Array.isArray(value.stops) || value.stops.length < 2) return 'stops must be an array of at least two stops';
+
+        for (let index = 0; index < value.stops.length; index++) {
+            const stop = value.stops[index];
+            if (!stop || typeof stop !== 'object') return `stops[${index}] must be an object`;
+
+            const message = this.checkRange(stop.offset, 0, 100);
+            if (message) return `stops[${index}].offset ${message}`;
+            if (!this.isHexColor(stop.color)) return `stops[${index}].color must be a hex color like "#ff0000"`;
+        }
+        return null;
+    }
+
+    static checkRange(value, min, max) {
+        if (!this.isFiniteNumber(value)) return 'must be a number';
+        if (value < min || value > max) return `must be between ${min} and ${max}, got ${value}`;
+        return null;
+    }
+
+    static isFiniteNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    static isHexColor(value) {
+        return typeof value === 'string' && /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.test(value);
+    }
+
+    static compareVersions(a, b) {
+        const partsA = a.split('.').map(Number);
+        const partsB = b.split('.').map(Number);
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+
+    static formatIssues(issues, limit = 3) {
+        const lines = issues.slice(0, limit).map(issue => `${issue.path}: ${issue.message}`);
+        if (issues.length > limit) {
+            lines.push(`and ${issues.length - limit} more`);
+        }
+        return lines.join('; ');
+    }
+
+    static createValidationError(errors) {
+        const error = new Error(`Invalid project file: ${this.formatIssues(errors)}`);
+        error.validationErrors = errors;
+        return error;
+    }
+}
+
+// Make ProjectSchema available globally
+window.ProjectSchema = ProjectSchema;
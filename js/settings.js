@@ -22,7 +22,14 @@ class AppSettings {
             timelineHeight: 220,
 
             // UI settings
-            maxHistorySteps: 50
+            maxHistorySteps: 50,
+
+            // User-defined easing presets of the transition editor
+            easingPresets: [],
+
+            // Autosave settings
+            autosaveInterval: 30, // seconds
+            maxAutosaveSessions: 5
         };
     }
 
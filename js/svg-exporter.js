@@ -0,0 +1,200 @@
+// Converts text objects into an animated SVG with live <text> elements. The animation
+// uses the same CSS keyframe tracks as the HTML export, embedded in the SVG's <style>.
+class SvgExporter {
+    constructor(app) {
+        this.app = app;
+        this.cssExporter = new window.CssExporter(app);
+    }
+
+    // Build the SVG document. Uploaded fonts are embedded as data URIs when
+    // options.embedFonts is set, otherwise they must be installed where it is viewed.
+    async export(options = {}) {
+        const css = this.cssExporter;
+        const width = this.app.canvasWidth;
+        const height = this.app.canvasHeight;
+
+        const fontFaceRules = options.embedFonts ? (await css.createFontFaces(true)).fontFaceRules : [];
+        const anchors = { left: 'start', center: 'middle', right: 'end' };
+        const { start } = this.app.getWorkArea();
+        const targets = [];
+        const elements = this.app.textObjects.map(obj => {
+            const className = css.getClassName(obj);
+            const anchor = anchors[obj.textAlign] || 'start';
+
+            // Lines are positioned with dy, which CSS can't animate, so they keep the line
+            // height from the start of the work area. Empty lines have no text to carry a
+            // line break, the next line moves down past them.
+            const lineHeight = this.app.getPropertyValue(obj, 'lineHeight', start);
+            let previousLine = 0;
+
+            if (!window.TextLayout.isGlyphAnimated(obj)) {
+                targets.push({
+                    obj,
+                    className,
+                    properties: css.getAnimatedProperties(obj).filter(property => property !== 'lineHeight'),
+                    declarations: this.getStyleDeclarations(obj)
+                });
+                const lines = css.getLines(obj);
+                if (lines.length === 1) {
+                    return `<text class="text ${className}" text-anchor="${anchor}">${css.escapeHtml(lines[0])}</text>`;
+                }
+
+                const tspans = [];
+                lines.forEach((line, index) => {
+                    if (!line) return;
+                    const dy = window.CssExporter.round(lineHeight * (index - previousLine));
+                    tspans.push(`<tspan x="0" dy="${dy}em">${css.escapeHtml(line)}</tspan>`);
+                    previousLine = index;
+                });
+                return `<text class="text ${className}" text-anchor="${anchor}">${tspans.join('')}</text>`;
+            }
+
+            // CSS can't move a <tspan>, so glyphs follow the object's position and
+            // only their size, color, variable axes and features are staggered
+            targets.push({
+                obj,
+                className,
+                properties: ['x', 'y'],
+                declarations: [
+                    `font-family: ${window.CssExporter.quote(obj.fontFamily)}, Arial, sans-serif;`,
+                    'transform: translate(var(--x), var(--y));'
+                ]
+            });
+            // Glyph sizes vary, so the line spacing comes from the object's size in pixels
+            const lineSpacing = this.app.getPropertyValue(obj, 'fontSize', start) * lineHeight;
+            const tspans = [];
+            css.getGlyphLines(obj).forEach((glyphs, lineIndex) => {
+                glyphs.forEach((glyph, index) => {
+                    const lineBreak = index === 0 && lineIndex > previousLine
+                        ? ` x="0" dy="${window.CssExporter.round(lineSpacing * (lineIndex - previousLine))}"`
+                        : '';
+                    tspans.push(this.createGlyphSpan(glyph, lineBreak, targets));
+                    previousLine = lineIndex;
+                });
+            });
+            return `<text class="text ${className}" text-anchor="${anchor}">${tspans.join('')}</text>`;
+        });
+        const animationRules = css.createAnimationRules(targets);
+        const fills = this.app.textObjects.map(obj => this.createFillElement(obj)).filter(Boolean);
+
+        const baseRule = [
+            '.text {',
+            '    dominant-baseline: text-before-edge;',
+            '    white-space: pre;',
+            '}'
+        ].join('\n');
+
+        const styles = [...fontFaceRules, baseRule, ...animationRules].join('\n\n');
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+            `    <style><![CDATA[\n${styles}\n]]></style>`,
+            ...(fills.length > 0 ? ['    <defs>', ...fills.map(fill => `        ${fill}`), '    </defs>'] : []),
+            ...(options.transparentBackground ? [] : [`    <rect width="100%" height="100%" fill="${this.app.canvasBackground}"/>`]),
+            ...elements.map(element => `    ${element}`),
+            '</svg>',
+            ''
+        ].join('\n');
+    }
+
+    // A <tspan> for a glyph, adding the target that animates it. Opacity and filters don't
+    // apply to a <tspan>, so glyphs fade through their fill and stroke and can't blur or
+    // cast shadows.
+    createGlyphSpan(glyph, attributes, targets) {
+        const css = this.cssExporter;
+        const properties = css.getAnimatedProperties(glyph.obj)
+            .filter(property => !['x', 'y', 'rotation', 'lineHeight', 'blur'].includes(property) && !property.startsWith('effect:'));
+        const declarations = [
+            'font-size: var(--font-size);',
+            `fill: ${this.getFillPaint(glyph.obj)};`,
+            ...css.getFontDeclarations(glyph.obj),
+            ...this.getStrokeDeclarations(glyph.obj)
+        ];
+        if (properties.includes('opacity')) {
+            declarations.push('fill-opacity: var(--opacity);', 'stroke-opacity: var(--opacity);');
+        }
+
+        targets.push({ obj: glyph.obj, className: glyph.className, properties, declarations });
+        return `<tspan class="${glyph.className}"${attributes}>${css.escapeHtml(glyph.text)}</tspan>`;
+    }
+
+    getStyleDeclarations(obj) {
+        const declarations = [
+            `font-family: ${window.CssExporter.quote(obj.fontFamily)}, Arial, sans-serif;`,
+            'font-size: var(--font-size);',
+            `fill: ${this.getFillPaint(obj)};`
+        ];
+
+        // Rotation pivots around the center of the text like on the canvas
+        if (this.cssExporter.getAnimatedProperties(obj).includes('rotation')) {
+            declarations.push(
+                'transform: translate(var(--x), var(--y)) rotate(var(--rotation));',
+                'transform-box: fill-box;',
+                'transform-origin: center;'
+            );
+        } else {
+            declarations.push('transform: translate(var(--x), var(--y));');
+        }
+
+        // Text shadows don't apply to SVG text, drop-shadow filters do
+        const properties = this.cssExporter.getAnimatedProperties(obj);
+        const filters = this.cssExporter.getShadows(obj).map(shadow => `drop-shadow(${shadow})`);
+        if (properties.includes('blur')) filters.push('blur(var(--blur))');
+        if (properties.includes('opacity')) declarations.push('opacity: var(--opacity);');
+        if (filters.length > 0) declarations.push(`filter: ${filters.join(' ')};`);
+
+        return [...declarations, ...this.cssExporter.getFontDeclarations(obj), ...this.getStrokeDeclarations(obj)];
+    }
+
+    getFillPaint(obj) {
+        const fill = this.app.getPropertyValue(obj, 'fill', this.app.getWorkArea().start);
+        return fill ? `url(#${this.cssExporter.getClassName(obj)}-fill)` : 'var(--color)';
+    }
+
+    // The gradient or pattern element for an object with a fill, spanning the text as laid
+    // out at the start of the work area. Coordinates are relative to the object's position,
+    // which the text and its glyphs are translated to.
+    createFillElement(obj) {
+        const { start } = this.app.getWorkArea();
+        const fill = this.app.getPropertyValue(obj, 'fill', start);
+        if (!fill) return null;
+
+        const round = value => window.CssExporter.round(value);
+        const props = { ...this.app.getObjectPropertiesAtFrame(obj, start), x: 0, y: 0 };
+        const bounds = window.TextLayout.getBlockBounds(obj, props, this.app.measureTextBlock(obj, props));
+        const id = `${this.cssExporter.getClassName(obj)}-fill`;
+
+        // The tile starts at the top left of the text like on the canvas
+        if (fill.type === 'pattern') {
+            const image = window.TextLayout.getPatternImage(fill.image);
+            const width = round((image ? image.naturalWidth : 100) * fill.scale / 100);
+            const height = round((image ? image.naturalHeight : 100) * fill.scale / 100);
+            const transform = `translate(${round(bounds.left)} ${round(bounds.top)}) rotate(${round(fill.angle)})`;
+            return `<pattern id="${id}" patternUnits="userSpaceOnUse" width="${width}" height="${height}" patternTransform="${transform}"><image href="${fill.image}" width="${width}" height="${height}"/></pattern>`;
+        }
+
+        const geometry = window.TextLayout.getGradientGeometry(fill, bounds);
+        const stops = window.TextLayout.getSortedStops(fill)
+            .map(stop => `<stop offset="${round(stop.offset)}%" stop-color="${stop.color}"/>`)
+            .join('');
+
+        if (fill.type === 'radial') {
+            return `<radialGradient id="${id}" gradientUnits="userSpaceOnUse" cx="${round(geometry.cx)}" cy="${round(geometry.cy)}" r="${round(geometry.r)}">${stops}</radialGradient>`;
+        }
+        return `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${round(geometry.x1)}" y1="${round(geometry.y1)}" x2="${round(geometry.x2)}" y2="${round(geometry.y2)}">${stops}</linearGradient>`;
+    }
+
+    // SVG strokes are drawn over the fill by default, like on the canvas
+    getStrokeDeclarations(obj) {
+        if (!this.cssExporter.getAnimatedProperties(obj).includes('strokeWidth')) return [];
+
+        return [
+            'stroke: var(--stroke-color);',
+            'stroke-width: var(--stroke-width);',
+            'stroke-linejoin: round;'
+        ];
+    }
+}
+
+// Make SvgExporter available globally
+window.SvgExporter = SvgExporter;
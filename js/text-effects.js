@@ -0,0 +1,224 @@
+// Shadow and glow effects drawn with text runs. An object's effects are a stack in obj.effects
+// of { id, type }, drawn in order from the bottom. Their parameters are keyframeable properties
+// named effect:<id>:<parameter>, so they animate like any other property of the object.
+class TextEffects {
+    // Effect types with their parameters and the values new effects start with
+    static get TYPES() {
+        return {
+            dropShadow: { name: 'Drop Shadow', defaults: { offsetX: 4, offsetY: 4, blur: 8, color: '#000000', opacity: 50 } },
+            innerShadow: { name: 'Inner Shadow', defaults: { offsetX: 2, offsetY: 2, blur: 4, color: '#000000', opacity: 75 } },
+            outerGlow: { name: 'Outer Glow', defaults: { blur: 12, color: '#ffd700', opacity: 80 } }
+        };
+    }
+
+    static get PARAMETER_NAMES() {
+        return { offsetX: 'Offset X', offsetY: 'Offset Y', blur: 'Blur', color: 'Color', opacity: 'Opacity' };
+    }
+
+    // Shadow passes draw the text this far away so only the shadow lands on the text's place
+    static get SHADOW_SHIFT() {
+        return 10000;
+    }
+
+    static getProperty(id, parameter) {
+        return `effect:${id}:${parameter}`;
+    }
+
+    // { id, parameter } of an effect property, null for other properties
+    static parseProperty(property) {
+        const match = /^effect:(\d+):(\w+)$/.exec(property);
+        return match ? { id: Number(match[1]), parameter: match[2] } : null;
+    }
+
+    static getEffect(obj, id) {
+        return (obj.effects || []).find(effect => effect.id === id) || null;
+    }
+
+    // Display name of an effect, numbered when the object has several of its type
+    static getEffectName(obj, effect) {
+        const name = this.TYPES[effect.type] ? this.TYPES[effect.type].name : 'Effect';
+        const sameType = (obj.effects || []).filter(other => other.type === effect.type);
+        return sameType.length > 1 ? `${name} ${sameType.indexOf(effect) + 1}` : name;
+    }
+
+    static getPropertyDisplayName(obj, property) {
+        const parsed = this.parseProperty(property);
+        if (!parsed) return property;
+
+        const effect = obj ? this.getEffect(obj, parsed.id) : null;
+        const effectName = effect ? this.getEffectName(obj, effect) : `Effect ${parsed.id}`;
+        return `${effectName} ${this.PARAMETER_NAMES[parsed.parameter] || parsed.parameter}`;
+    }
+
+    // Default of an effect property without keyframes or initial value
+    static getDefaultValue(obj, property) {
+        const parsed = this.parseProperty(property);
+        const effect = parsed ? this.getEffect(obj, parsed.id) : null;
+        const type = effect && this.TYPES[effect.type];
+        return type && parsed.parameter in type.defaults ? type.defaults[parsed.parameter] : 0;
+    }
+
+    // Adds an effect on top of the stack with its default parameters and returns it
+    static addEffect(obj, type) {
+        const effects = obj.effects || [];
+        const id = effects.reduce((max, effect) => Math.max(max, effect.id), 0) + 1;
+        const effect = { id, type };
+
+        obj.effects = [...effects, effect];
+        obj.initialState = obj.initialState || {};
+        Object.entries(this.TYPES[type].defaults).forEach(([parameter, value]) => {
+            obj.initialState[this.getProperty(id, parameter)] = value;
+        });
+        return effect;
+    }
+
+    // Removes an effect together with its parameters and keyframes
+    static removeEffect(obj, id) {
+        obj.effects = (obj.effects || []).filter(effect => effect.id !== id);
+        if (obj.effects.length === 0) delete obj.effects;
+
+        const prefix = `effect:${id}:`;
+        [obj.initialState || {}, obj.keyframes].forEach(properties => {
+            Object.keys(properties).forEach(property => {
+                if (property.startsWith(prefix)) delete properties[property];
+            });
+        });
+    }
+
+    // Moves an effect one place up (+1) or down (-1) the stack, returns whether it moved
+    static moveEffect(obj, id, direction) {
+        const effects = obj.effects || [];
+        const index = effects.findIndex(effect => effect.id === id);
+        const target = index + direction;
+        if (index < 0 || target < 0 || target >= effects.length) return false;
+
+        [effects[index], effects[target]] = [effects[target], effects[index]];
+        return true;
+    }
+
+    // Effects of an object at a frame with their parameter values, in stack order
+    static getEffectsAtFrame(app, obj, frame) {
+        return (obj.effects || []).filter(effect => this.TYPES[effect.type]).map(effect => {
+            const values = { id: effect.id, type: effect.type, offsetX: 0, offsetY: 0 };
+            Object.keys(this.TYPES[effect.type].defaults).forEach(parameter => {
+                values[parameter] = app.getPropertyValue(obj, this.getProperty(effect.id, parameter), frame);
+            });
+            return values;
+        });
+    }
+
+    // Effect color with its opacity applied, as an rgba() string
+    static getColor(effect) {
+        let hex = String(effect.color).replace('#', '');
+        if (hex.length === 3) hex = hex.split('').map(digit => digit + digit).join('');
+
+        const value = parseInt(hex, 16) || 0;
+        const alpha = Math.max(0, Math.min(1, effect.opacity / 100));
+        return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+    }
+
+    // Fills and strokes a run with its effects: shadows and glows below the text, inner
+    // shadows over its fill. The context must be set up for the run like for fillText.
+    static drawRun(context, run) {
+        const effects = run.props.effects || [];
+
+        effects.filter(effect => effect.type !== 'innerShadow').forEach(effect => this.drawShadow(context, run, effect));
+        context.fillText(run.text, run.x, run.y);
+        window.TextLayout.strokeRun(context, run);
+        effects.filter(effect => effect.type === 'innerShadow').forEach(effect => this.drawInnerShadow(context, run, effect));
+    }
+
+    // Drop shadows and glows use the context's shadow. Shadow offsets and blur ignore the
+    // transform, so they are mapped through it to follow scaling and rotation.
+    static drawShadow(context, run, effect) {
+        if (!(effect.opacity > 0)) return;
+
+        const transform = context.getTransform();
+        const shift = this.SHADOW_SHIFT;
+        const dx = effect.offsetX + shift;
+        const dy = effect.offsetY;
+
+        context.save();
+        context.shadowColor = this.getColor(effect);
+        context.shadowBlur = Math.max(0, effect.blur) * Math.hypot(transform.a, transform.b);
+        context.shadowOffsetX = transform.a * dx + transform.c * dy;
+        context.shadowOffsetY = transform.b * dx + transform.d * dy;
+        context.fillText(run.text, run.x - shift, run.y);
+        window.TextLayout.strokeRun(context, { ...run, x: run.x - shift });
+        context.restore();
+    }
+
+    // Canvas shadows only fall outside shapes, so inner shadows are composited offscreen: a
+    // layer of the shadow color with the offset text cut out is blurred and clipped to the text.
+    // The layers skip canvas element styles, so variable axes and features are approximated.
+    static drawInnerShadow(context, run, effect) {
+        if (!(effect.opacity > 0)) return;
+
+        const transform = context.getTransform();
+        const scale = Math.hypot(transform.a, transform.b);
+        const blur = Math.max(0, effect.blur);
+        const area = this.getDeviceRect(context, run, Math.abs(effect.offsetX) + Math.abs(effect.offsetY) + blur * 2);
+        if (area.width <= 0 || area.height <= 0) return;
+
+        const setUp = (layerContext) => {
+            ['font', 'letterSpacing', 'wordSpacing', 'textAlign', 'textBaseline'].forEach(key => {
+                if (key in layerContext) layerContext[key] = context[key];
+            });
+            layerContext.setTransform(transform.a, transform.b, transform.c, transform.d,
+                transform.e - area.left, transform.f - area.top);
+        };
+
+        const cutout = this.createLayer(area);
+        const cutoutContext = cutout.getContext('2d');
+        cutoutContext.fillStyle = this.getColor(effect);
+        cutoutContext.fillRect(0, 0, area.width, area.height);
+        setUp(cutoutContext);
+        cutoutContext.globalCompositeOperation = 'destination-out';
+        cutoutContext.fillText(run.text, run.x + effect.offsetX, run.y + effect.offsetY);
+
+        const shadow = this.createLayer(area);
+        const shadowContext = shadow.getContext('2d');
+        shadowContext.filter = blur > 0 ? `blur(${blur * scale}px)` : 'none';
+        shadowContext.drawImage(cutout, 0, 0);
+        shadowContext.filter = 'none';
+        setUp(shadowContext);
+        shadowContext.globalCompositeOperation = 'destination-in';
+        shadowContext.fillText(run.text, run.x, run.y);
+
+        // Opacity and blur of the text still apply when the layer is drawn
+        context.save();
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.drawImage(shadow, area.left, area.top);
+        context.restore();
+    }
+
+    // Device pixel rectangle around a run's glyphs grown by a margin, as { left, top, width, height }
+    static getDeviceRect(context, run, margin) {
+        const metrics = context.measureText(run.text);
+        const left = run.x - metrics.actualBoundingBoxLeft - margin;
+        const right = run.x + metrics.actualBoundingBoxRight + margin;
+        const top = run.y - metrics.actualBoundingBoxAscent - margin;
+        const bottom = run.y + metrics.actualBoundingBoxDescent + margin;
+
+        const transform = context.getTransform();
+        const corners = [[left, top], [right, top], [left, bottom], [right, bottom]].map(([x, y]) => ({
+            x: transform.a * x + transform.c * y + transform.e,
+            y: transform.b * x + transform.d * y + transform.f
+        }));
+        const minX = Math.floor(Math.min(...corners.map(corner => corner.x)));
+        const minY = Math.floor(Math.min(...corners.map(corner => corner.y)));
+        const maxX = Math.ceil(Math.max(...corners.map(corner => corner.x)));
+        const maxY = Math.ceil(Math.max(...corners.map(corner => corner.y)));
+        return { left: minX, top: minY, width: maxX - minX, height: maxY - minY };
+    }
+
+    static createLayer(area) {
+        const layer = document.createElement('canvas');
+        layer.width = area.width;
+        layer.height = area.height;
+        return layer;
+    }
+}
+
+// Make TextEffects available globally
+window.TextEffects = TextEffects;
@@ -0,0 +1,387 @@
+// Splits text objects into the runs the renderers draw: one run per line, or one run
+// per glyph when the object is animated glyph by glyph with a stagger or range selector.
+// Lines come from newlines in the text and, with a box width, from word wrapping.
+class TextLayout {
+    // Distance between baselines as a multiple of the font size
+    static get DEFAULT_LINE_HEIGHT() {
+        return 1.2;
+    }
+
+    static get FILL_TYPES() {
+        return ['linear', 'radial', 'pattern'];
+    }
+
+    // Pattern images by source, shared by every renderer
+    static get patternImages() {
+        if (!this._patternImages) this._patternImages = new Map();
+        return this._patternImages;
+    }
+
+    static get STAGGER_ORDERS() {
+        return ['index', 'reverse', 'center', 'random'];
+    }
+
+    static get RANGE_SHAPES() {
+        return ['square', 'rampUp', 'rampDown', 'triangle', 'round', 'smooth'];
+    }
+
+    // Keyframeable range of the selector, in percent of the glyph count
+    static get RANGE_PROPERTIES() {
+        return ['range:start', 'range:end', 'range:offset'];
+    }
+
+    static isGlyphAnimated(obj) {
+        return !!obj.stagger || !!obj.rangeSelector;
+    }
+
+    // Runs of a text object at a frame as { text, props, x, y, textAlign, bounds }. measure(text, props)
+    // returns the advance width of a run drawn with props, using the renderer's font setup.
+    // Every line is aligned at the object's x on its own. Objects with a gradient fill get the
+    // bounds of the whole text on every run, so the gradient flows across lines and glyphs.
+    static getRuns(app, obj, frame, measure) {
+        const baseProps = app.getObjectPropertiesAtFrame(obj, frame);
+        const measureText = text => measure(text, baseProps);
+        const lines = this.getLines(obj, measureText);
+        const lineAdvance = this.getLineAdvance(baseProps);
+        const bounds = this.hasFill(obj)
+            ? this.getBlockBounds(obj, baseProps, this.getBlockSize(obj, baseProps, measureText))
+            : null;
+
+        if (!this.isGlyphAnimated(obj)) {
+            return lines.map((line, lineIndex) => ({
+                text: line,
+                props: baseProps,
+                x: baseProps.x,
+                y: baseProps.y + lineIndex * lineAdvance,
+                textAlign: obj.textAlign || 'left',
+                bounds
+            }));
+        }
+
+        // Each glyph plays the object's keyframes shifted by its stagger delay. Glyphs are
+        // counted across lines, so the stagger and range run through the whole text.
+        const lineGlyphs = lines.map(line => this.splitGlyphs(line));
+        const count = lineGlyphs.reduce((sum, glyphs) => sum + glyphs.length, 0);
+        const delays = this.getStaggerDelays(obj.stagger, count);
+        const weights = this.getRangeWeights(app, obj, frame, count);
+        const runs = [];
+        let index = 0;
+
+        lineGlyphs.forEach((glyphs, lineIndex) => {
+            const lineRuns = glyphs.map(text => {
+                const props = app.getObjectPropertiesAtFrame(obj, frame - delays[index]);
+                if (weights) {
+                    this.applyRangeSelector(app, obj, props, weights[index], frame - delays[index]);
+                }
+                index++;
+                return { text, props, width: measure(text, props), textAlign: 'left', bounds };
+            });
+
+            // Glyphs are laid out one after another, so alignment uses their combined width
+            const totalWidth = lineRuns.reduce((sum, run) => sum + run.width, 0);
+            let advance = { center: -totalWidth / 2, right: -totalWidth }[obj.textAlign] || 0;
+            lineRuns.forEach(run => {
+                run.x = run.props.x + advance;
+                run.y = run.props.y + lineIndex * lineAdvance;
+                advance += run.width;
+            });
+
+            runs.push(...lineRuns);
+        });
+
+        return runs;
+    }
+
+    // Letter and word spacing are added by the context, so measuring and drawing include them
+    static applySpacing(context, props) {
+        if ('letterSpacing' in context) context.letterSpacing = `${props.letterSpacing || 0}px`;
+        if ('wordSpacing' in context) context.wordSpacing = `${props.wordSpacing || 0}px`;
+    }
+
+    // Opacity, blur, fill and outline of a run. Filter lengths ignore the context's
+    // transform, so the blur is scaled to match the rest of the drawing. Gradient fills
+    // need the bounds of the text, without them the solid color is used.
+    static applyPaint(context, props, bounds = null) {
+        const transform = context.getTransform();
+        const blur = (props.blur || 0) * Math.hypot(transform.a, transform.b);
+
+        context.globalAlpha = Math.max(0, Math.min(1, props.opacity / 100));
+        context.filter = blur > 0 ? `blur(${blur}px)` : 'none';
+        context.fillStyle = (props.fill && bounds && this.createFillStyle(context, props.fill, bounds)) || props.color;
+        context.strokeStyle = props.strokeColor;
+        context.lineWidth = props.strokeWidth;
+        context.lineJoin = 'round';
+    }
+
+    // The outline is centered on the glyph edges and drawn over the fill, like CSS text strokes
+    static strokeRun(context, run) {
+        if (run.props.strokeWidth > 0) {
+            context.strokeText(run.text, run.x, run.y);
+        }
+    }
+
+    static hasFill(obj) {
+        return !!((obj.initialState && obj.initialState.fill) || (obj.keyframes.fill && obj.keyframes.fill.length > 0));
+    }
+
+    // Rectangle of the laid out text as { left, top, width, height }, from its block size
+    static getBlockBounds(obj, props, size) {
+        const offset = { center: size.width / 2, right: size.width }[obj.textAlign] || 0;
+        return { left: props.x - offset, top: props.y, width: size.width, height: size.height };
+    }
+
+    // Gradient geometry over bounds following CSS gradients: linear angles run clockwise
+    // from the top and the gradient line reaches the corners, radial gradients are circles
+    // reaching the farthest corner. Returns { x1, y1, x2, y2 } or { cx, cy, r }.
+    static getGradientGeometry(fill, bounds) {
+        const cx = bounds.left + bounds.width / 2;
+        const cy = bounds.top + bounds.height / 2;
+
+        if (fill.type === 'radial') {
+            return { cx, cy, r: Math.hypot(bounds.width, bounds.height) / 2 };
+        }
+
+        const angle = fill.angle * Math.PI / 180;
+        const dx = Math.sin(angle);
+        const dy = -Math.cos(angle);
+        const half = (Math.abs(bounds.width * dx) + Math.abs(bounds.height * dy)) / 2;
+        return { x1: cx - dx * half, y1: cy - dy * half, x2: cx + dx * half, y2: cy + dy * half };
+    }
+
+    // Gradient or pattern for a fill over bounds, null while a pattern image is loading
+    static createFillStyle(context, fill, bounds) {
+        if (fill.type !== 'pattern') {
+            return this.createGradient(context, fill, bounds);
+        }
+
+        const image = this.getPatternImage(fill.image);
+        if (!image) return null;
+
+        // The tile starts at the top left of the text, scaled and turned around that corner
+        const pattern = context.createPattern(image, 'repeat');
+        pattern.setTransform(new DOMMatrix()
+            .translate(bounds.left, bounds.top)
+            .rotate(fill.angle)
+            .scale(fill.scale / 100));
+        return pattern;
+    }
+
+    // The loaded image of a pattern, or null while it loads. Images load asynchronously,
+    // a 'patternload' event on window tells the editor to draw again once one is ready.
+    static getPatternImage(source) {
+        if (!this.patternImages.has(source)) {
+            const image = new Image();
+            image.addEventListener('load', () => window.dispatchEvent(new Event('patternload')));
+            image.src = source;
+            this.patternImages.set(source, image);
+        }
+
+        const image = this.patternImages.get(source);
+        return image.complete && image.naturalWidth > 0 ? image : null;
+    }
+
+    // Resolves once the pattern images used by the text objects have loaded or failed,
+    // for exports that render frames without waiting for redraws
+    static loadPatternImages(textObjects) {
+        const sources = new Set();
+        textObjects.forEach(obj => {
+            const fills = [obj.initialState && obj.initialState.fill, ...(obj.keyframes.fill || []).map(keyframe => keyframe.value)];
+            fills.forEach(fill => {
+                if (fill && fill.type === 'pattern') sources.add(fill.image);
+            });
+        });
+
+        return Promise.all([...sources].map(source => {
+            this.getPatternImage(source);
+            const image = this.patternImages.get(source);
+            if (image.complete) return null;
+
+            return new Promise(resolve => {
+                image.addEventListener('load', resolve, { once: true });
+                image.addEventListener('error', resolve, { once: true });
+            });
+        }));
+    }
+
+    static createGradient(context, fill, bounds) {
+        const geometry = this.getGradientGeometry(fill, bounds);
+        const gradient = fill.type === 'radial'
+            ? context.createRadialGradient(geometry.cx, geometry.cy, 0, geometry.cx, geometry.cy, geometry.r)
+            : context.createLinearGradient(geometry.x1, geometry.y1, geometry.x2, geometry.y2);
+
+        this.getSortedStops(fill).forEach(stop => {
+            gradient.addColorStop(Math.max(0, Math.min(1, stop.offset / 100)), stop.color);
+        });
+        return gradient;
+    }
+
+    // Stops in offset order, as gradients need them
+    static getSortedStops(fill) {
+        return [...fill.stops].sort((a, b) => a.offset - b.offset);
+    }
+
+    static getLineAdvance(props) {
+        return props.fontSize * (props.lineHeight || this.DEFAULT_LINE_HEIGHT);
+    }
+
+    // The lines of a text object: its paragraphs, wrapped at spaces to fit obj.boxWidth
+    // when set. measureText(text) returns the advance width of a piece of the text. Words
+    // wider than the box overflow it on a line of their own, like CSS does.
+    static getLines(obj, measureText) {
+        const paragraphs = String(obj.text).split(/\r?\n/);
+        if (!obj.boxWidth) {
+            return paragraphs;
+        }
+
+        const lines = [];
+        paragraphs.forEach(paragraph => {
+            let line = '';
+            paragraph.split(/(\s+)/).forEach(piece => {
+                if (!piece) return;
+
+                const candidate = line + piece;
+                if (line.trim() && !/^\s+$/.test(piece) && measureText(candidate.trimEnd()) > obj.boxWidth) {
+                    lines.push(line.trimEnd());
+                    line = piece;
+                } else {
+                    line = candidate;
+                }
+            });
+            lines.push(line.trimEnd());
+        });
+        return lines;
+    }
+
+    // Width and height of the laid out text. The box width counts as the width when set,
+    // the last line is as tall as the font size.
+    static getBlockSize(obj, props, measureText) {
+        const lines = this.getLines(obj, measureText);
+        const widest = Math.max(0, ...lines.map(line => measureText(line)));
+        return {
+            width: obj.boxWidth ? Math.max(obj.boxWidth, widest) : widest,
+            height: (lines.length - 1) * this.getLineAdvance(props) + props.fontSize,
+            lines
+        };
+    }
+
+    // Grapheme clusters, so combining marks and emoji stay with their base character
+    static splitGlyphs(text) {
+        if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+            const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+            return Array.from(segmenter.segment(text), segment => segment.segment);
+        }
+        return Array.from(text);
+    }
+
+    // Delay in frames for each glyph, the stagger frames times its position in the order
+    static getStaggerDelays(stagger, count) {
+        if (!stagger) {
+            return new Array(count).fill(0);
+        }
+
+        const frames = stagger.frames || 0;
+        const order = stagger.order || 'index';
+        let ranks;
+
+        if (order === 'reverse') {
+            ranks = Array.from({ length: count }, (_, index) => count - 1 - index);
+        } else if (order === 'center') {
+            // The middle glyph, or the middle pair for an even count, starts first
+            const middle = (count - 1) / 2;
+            ranks = Array.from({ length: count }, (_, index) => Math.floor(Math.abs(index - middle)));
+        } else if (order === 'random') {
+            // Seeded shuffle so the order is the same on every render and export
+            const random = this.createRandom(stagger.seed || 0);
+            const shuffled = Array.from({ length: count }, (_, index) => index);
+            for (let i = count - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+            }
+            ranks = new Array(count);
+            shuffled.forEach((glyphIndex, rank) => {
+                ranks[glyphIndex] = rank;
+            });
+        } else {
+            ranks = Array.from({ length: count }, (_, index) => index);
+        }
+
+        return ranks.map(rank => rank * frames);
+    }
+
+    // How strongly the range selector affects each glyph at a frame, from 0 to 1, or null
+    // without a selector. The range itself is read at the object's frame, not the glyph's.
+    static getRangeWeights(app, obj, frame, count) {
+        if (!obj.rangeSelector) return null;
+
+        const offset = app.getPropertyValue(obj, 'range:offset', frame);
+        let start = (app.getPropertyValue(obj, 'range:start', frame) + offset) / 100 * count;
+        let end = (app.getPropertyValue(obj, 'range:end', frame) + offset) / 100 * count;
+        if (start > end) [start, end] = [end, start];
+
+        const shape = obj.rangeSelector.shape || 'square';
+        return Array.from({ length: count }, (_, index) => {
+            // Square covers glyphs partially at the range edges, the other shapes
+            // are sampled at the glyph's center across the range
+            if (shape === 'square') {
+                return Math.max(0, Math.min(index + 1, end) - Math.max(index, start));
+            }
+
+            const center = index + 0.5;
+            const t = end > start ? (center - start) / (end - start) : (center < start ? -Infinity : Infinity);
+            const inside = t >= 0 && t <= 1;
+            const peak = 1 - Math.abs(2 * t - 1);
+
+            switch (shape) {
+                case 'rampUp': return Math.max(0, Math.min(1, t));
+                case 'rampDown': return 1 - Math.max(0, Math.min(1, t));
+                case 'triangle': return inside ? peak : 0;
+                case 'round': return inside ? Math.sqrt(1 - (2 * t - 1) ** 2) : 0;
+                case 'smooth': return inside ? peak * peak * (3 - 2 * peak) : 0;
+                default: return 0;
+            }
+        });
+    }
+
+    // Offset a glyph's properties by the selector amounts scaled by its weight at a frame
+    static applyRangeSelector(app, obj, props, weight, frame) {
+        if (weight <= 0) return;
+
+        props.variableAxes = { ...props.variableAxes };
+        Object.entries(obj.rangeSelector.properties || {}).forEach(([property, amount]) => {
+            if (property.startsWith('variableaxis:')) {
+                // Axes without keyframes or initial value start from the font's default
+                const axisTag = property.replace('variableaxis:', '');
+                const value = axisTag in props.variableAxes ? props.variableAxes[axisTag] : app.getPropertyValue(obj, property, frame);
+                props.variableAxes[axisTag] = this.getRangeValue(app, property, value, amount, weight);
+            } else if (property in props) {
+                props[property] = this.getRangeValue(app, property, props[property], amount, weight);
+            }
+        });
+    }
+
+    // A numeric amount is added to the value, a color amount is blended towards
+    static getRangeValue(app, property, value, amount, weight) {
+        if (property === 'color') {
+            return app.interpolateColor(value, amount, weight);
+        }
+        if (property === 'fontSize') {
+            return Math.max(1, value + amount * weight);
+        }
+        return value + amount * weight;
+    }
+
+    // Small deterministic PRNG (mulberry32) returning numbers in [0, 1)
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+// Make TextLayout available globally
+window.TextLayout = TextLayout;
@@ -4,11 +4,32 @@ class TimelineManager {
         this.app = app;
         this.selectedKeyframes = [];
         this.isDraggingCursor = false;
+        this.graphMode = false;
+        this.graphCurves = [];
+        this.hiddenGraphCurves = new Set();
+        this.graphDrag = null;
         this.setup();
     }
 
+    // Colors of the curves in the graph editor, assigned in layer order
+    static get GRAPH_COLORS() {
+        return ['#4fc3f7', '#ff8a65', '#aed581', '#ba68c8', '#ffd54f', '#4db6ac', '#f06292', '#9575cd'];
+    }
+
+    // Format marker of copied keyframes on the clipboard
+    static get CLIPBOARD_FORMAT() {
+        return 'font-animation-keyframes';
+    }
+
+    // Space above and below the curves for the value labels
+    static get GRAPH_PADDING() {
+        return 16;
+    }
+
     setup() {
         this.setupScrollSynchronization();
+        this.setupMarqueeSelection();
+        this.setupGraphEditor();
         this.update();
     }
 
@@ -62,6 +83,111 @@ class TimelineManager {
         }
     }
 
+    // Dragging on empty timeline space selects the keyframes inside the box, across all
+    // layers. Shift adds to the selection and Alt removes from it. Keyframes of collapsed
+    // layers stand for all keyframes of the object at their frame.
+    setupMarqueeSelection() {
+        const timelineLayers = document.getElementById('timelineLayers');
+        if (!timelineLayers) return;
+
+        timelineLayers.addEventListener('mousedown', (e) => {
+            if (e.button !== 0 || e.target.classList.contains('keyframe')) return;
+
+            const layersRect = timelineLayers.getBoundingClientRect();
+            const startX = e.clientX - layersRect.left;
+            const startY = e.clientY - layersRect.top;
+            const mode = e.shiftKey ? 'add' : (e.altKey ? 'subtract' : 'replace');
+            const initialSelection = [...this.selectedKeyframes];
+            let marquee = null;
+
+            const onMouseMove = (moveEvent) => {
+                const rect = timelineLayers.getBoundingClientRect();
+                const x = moveEvent.clientX - rect.left;
+                const y = moveEvent.clientY - rect.top;
+
+                if (!marquee) {
+                    if (Math.abs(x - startX) < 3 && Math.abs(y - startY) < 3) return;
+                    marquee = document.createElement('div');
+                    marquee.className = 'marquee-selection';
+                    timelineLayers.appendChild(marquee);
+                }
+
+                const box = {
+                    left: Math.min(startX, x),
+                    top: Math.min(startY, y),
+                    right: Math.max(startX, x),
+                    bottom: Math.max(startY, y)
+                };
+                marquee.style.left = `${box.left}px`;
+                marquee.style.top = `${box.top}px`;
+                marquee.style.width = `${box.right - box.left}px`;
+                marquee.style.height = `${box.bottom - box.top}px`;
+
+                this.applyMarqueeSelection(this.getKeyframesInBox(box, rect), initialSelection, mode);
+            };
+
+            const onMouseUp = () => {
+                document.removeEventListener('mousemove', onMouseMove);
+                document.removeEventListener('mouseup', onMouseUp);
+
+                if (marquee) {
+                    marquee.remove();
+                } else if (mode === 'replace' && this.selectedKeyframes.length > 0) {
+                    // A plain click on empty space clears the selection
+                    this.clearKeyframeSelection();
+                }
+            };
+
+            e.preventDefault();
+            document.addEventListener('mousemove', onMouseMove);
+            document.addEventListener('mouseup', onMouseUp);
+        });
+    }
+
+    // Keyframes whose markers overlap the box, as { objectId, property, frame }
+    getKeyframesInBox(box, layersRect) {
+        const keyframes = [];
+
+        document.querySelectorAll('#timelineLayers .keyframe').forEach(element => {
+            const rect = element.getBoundingClientRect();
+            const left = rect.left - layersRect.left;
+            const top = rect.top - layersRect.top;
+            if (left > box.right || left + rect.width < box.left || top > box.bottom || top + rect.height < box.top) {
+                return;
+            }
+
+            const textObject = this.app.textObjects.find(obj => String(obj.id) === element.dataset.objectId);
+            if (!textObject) return;
+
+            const frame = parseInt(element.dataset.frame);
+            const properties = element.dataset.property
+                ? [element.dataset.property]
+                : Object.keys(textObject.keyframes).filter(property => this.app.hasKeyframe(textObject, property, frame));
+
+            properties.forEach(property => {
+                keyframes.push({ objectId: textObject.id, property, frame });
+            });
+        });
+
+        return keyframes;
+    }
+
+    applyMarqueeSelection(keyframes, initialSelection, mode) {
+        const toSelection = ({ objectId, property, frame }) => ({ id: `${objectId}-${property}-${frame}`, objectId, property, frame });
+        const boxed = keyframes.map(toSelection);
+        const boxedIds = new Set(boxed.map(keyframe => keyframe.id));
+
+        if (mode === 'subtract') {
+            this.selectedKeyframes = initialSelection.filter(keyframe => !boxedIds.has(keyframe.id));
+        } else if (mode === 'add') {
+            this.selectedKeyframes = [...initialSelection.filter(keyframe => !boxedIds.has(keyframe.id)), ...boxed];
+        } else {
+            this.selectedKeyframes = boxed;
+        }
+
+        this.updateKeyframeSelectionVisual();
+    }
+
     // Helper method to calculate timeline width using settings
     calculateTimelineWidth() {
         const minPixelsPerSecond = window.AppSettings?.get('minPixelsPerSecond') || 80;
@@ -143,6 +269,122 @@ class TimelineManager {
                 timeRuler.appendChild(mark);
             }
         }
+
+        this.updateWorkArea();
+    }
+
+    // Draw the work area bar with in/out handles and shade the frames outside it
+    updateWorkArea() {
+        const timeRuler = document.getElementById('timeRuler');
+        if (!timeRuler) return;
+
+        timeRuler.querySelectorAll('.work-area, .work-area-shade').forEach(element => element.remove());
+
+        const totalFrames = this.app.totalFrames;
+        const timelineWidth = this.calculateTimelineWidth();
+        const { start, end } = this.app.getWorkArea();
+        const left = (start / totalFrames) * timelineWidth;
+        const right = ((end + 1) / totalFrames) * timelineWidth;
+
+        if (this.app.workArea) {
+            const shadeBefore = document.createElement('div');
+            shadeBefore.className = 'work-area-shade';
+            shadeBefore.style.left = '0px';
+            shadeBefore.style.width = `${left}px`;
+            timeRuler.appendChild(shadeBefore);
+
+            const shadeAfter = document.createElement('div');
+            shadeAfter.className = 'work-area-shade';
+            shadeAfter.style.left = `${right}px`;
+            shadeAfter.style.width = `${Math.max(0, timelineWidth - right)}px`;
+            timeRuler.appendChild(shadeAfter);
+        }
+
+        const workArea = document.createElement('div');
+        workArea.className = 'work-area';
+        workArea.classList.toggle('active', !!this.app.workArea);
+        workArea.style.left = `${left}px`;
+        workArea.style.width = `${right - left}px`;
+        workArea.title = `Work area: frames ${start}-${end} (drag to move, double-click to reset)`;
+
+        const inHandle = document.createElement('div');
+        inHandle.className = 'work-area-handle in';
+        inHandle.title = 'Work area in point (B)';
+
+        const outHandle = document.createElement('div');
+        outHandle.className = 'work-area-handle out';
+        outHandle.title = 'Work area out point (N)';
+
+        workArea.appendChild(inHandle);
+        workArea.appendChild(outHandle);
+        timeRuler.appendChild(workArea);
+
+        this.setupWorkAreaDragging(workArea, inHandle, outHandle);
+    }
+
+    setupWorkAreaDragging(workArea, inHandle, outHandle) {
+        const startDrag = (e, mode) => {
+            e.preventDefault();
+            e.stopPropagation();
+
+            const initial = this.app.getWorkArea();
+            const initialFrame = this.getFrameFromClientX(e.clientX);
+            const lastFrame = this.app.totalFrames - 1;
+
+            const handleMouseMove = (e) => {
+                const frame = this.getFrameFromClientX(e.clientX);
+
+                if (mode === 'in') {
+                    this.app.setWorkArea(Math.min(frame, initial.end), initial.end);
+                } else if (mode === 'out') {
+                    this.app.setWorkArea(initial.start, Math.max(frame, initial.start));
+                } else {
+                    // Move the whole range, keeping its length
+                    const length = initial.end - initial.start;
+                    const start = Math.max(0, Math.min(initial.start + frame - initialFrame, lastFrame - length));
+                    this.app.setWorkArea(start, start + length);
+                }
+            };
+
+            const handleMouseUp = () => {
+                document.removeEventListener('mousemove', handleMouseMove);
+                document.removeEventListener('mouseup', handleMouseUp);
+
+                // A click without moving a point isn't an undo step
+                const current = this.app.getWorkArea();
+                if (current.start !== initial.start || current.end !== initial.end) {
+                    this.app.saveState();
+                }
+            };
+
+            document.addEventListener('mousemove', handleMouseMove);
+            document.addEventListener('mouseup', handleMouseUp);
+        };
+
+        inHandle.addEventListener('mousedown', (e) => startDrag(e, 'in'));
+        outHandle.addEventListener('mousedown', (e) => startDrag(e, 'out'));
+        workArea.addEventListener('mousedown', (e) => {
+            if (e.target === workArea) startDrag(e, 'move');
+        });
+
+        workArea.addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            if (!this.app.workArea) return;
+
+            this.app.clearWorkArea();
+            this.app.saveState();
+        });
+    }
+
+    // Convert a mouse position to the nearest frame on the timeline
+    getFrameFromClientX(clientX) {
+        const timelineHeader = document.getElementById('timelineHeader');
+        const headerRect = timelineHeader.getBoundingClientRect();
+        const x = (clientX - headerRect.left) + timelineHeader.scrollLeft;
+
+        const pixelsPerFrame = this.calculateTimelineWidth() / this.app.totalFrames;
+        const frame = Math.round(x / pixelsPerFrame);
+        return Math.max(0, Math.min(frame, this.app.totalFrames - 1));
     }
 
     roundToNiceNumber(num) {
@@ -164,12 +406,19 @@ class TimelineManager {
         timelineLayers.innerHTML = '';
         timelineLayerNames.innerHTML = '';
 
-        this.app.textObjects.forEach((textObject, index) => {
+        this.app.textObjects.forEach(textObject => {
             // Initialize expansion state if not set (defaults to collapsed unless selected)
             if (textObject._timelineExpanded === undefined) {
                 textObject._timelineExpanded = (textObject === this.app.selectedObject);
             }
+        });
 
+        // The layer names show the colors of the graph's curves
+        if (this.graphMode) {
+            this.graphCurves = this.getGraphCurves();
+        }
+
+        this.app.textObjects.forEach((textObject, index) => {
             const layerName = this.createLayerName(textObject, index);
             const layerContent = this.createLayerContent(textObject, index);
 
@@ -182,6 +431,10 @@ class TimelineManager {
 
         // Restore keyframe highlighting after rebuilding timeline
         this.updateCurrentKeyframeHighlight();
+
+        if (this.graphMode) {
+            this.drawGraph();
+        }
     }
 
     createLayerName(textObject, index) {
@@ -234,7 +487,10 @@ class TimelineManager {
                     const subLayer = document.createElement('div');
                     subLayer.className = 'timeline-layer-name sub-layer';
                     subLayer.dataset.property = property;
-                    subLayer.textContent = this.getPropertyDisplayName(property);
+                    subLayer.textContent = this.getPropertyDisplayName(property, textObject);
+                    if (this.graphMode) {
+                        this.setupGraphLayerName(subLayer, textObject, property);
+                    }
                     layerGroup.appendChild(subLayer);
                 }
             });
@@ -369,6 +625,9 @@ class TimelineManager {
         keyframe.className = 'keyframe collapsed-keyframe';
         keyframe.dataset.frame = frameNumber;
         keyframe.dataset.objectId = textObject.id;
+        if (this.selectedKeyframes.some(selected => selected.objectId === textObject.id && selected.frame === frameNumber)) {
+            keyframe.classList.add('selected');
+        }
 
         // Position the keyframe
         const timelineWidth = this.calculateTimelineWidth();
@@ -377,7 +636,7 @@ class TimelineManager {
         keyframe.style.left = `${position - 7}px`;
 
         // Create tooltip showing all properties at this frame
-        const properties = keyframeData.map(data => this.getPropertyDisplayName(data.property)).join(', ');
+        const properties = keyframeData.map(data => this.getPropertyDisplayName(data.property, textObject)).join(', ');
         keyframe.title = `Frame ${frameNumber}: ${properties}`;
 
         // Add hover effects
@@ -409,12 +668,24 @@ class TimelineManager {
         });
     }
 
-    getPropertyDisplayName(property) {
+    // Effect properties are named after their effect in the stack of textObject when given
+    getPropertyDisplayName(property, textObject = null) {
         const displayNames = {
             x: 'X Position',
             y: 'Y Position',
             fontSize: 'Font Size',
-            color: 'Color'
+            lineHeight: 'Line Height',
+            letterSpacing: 'Letter Spacing',
+            wordSpacing: 'Word Spacing',
+            color: 'Color',
+            fill: 'Fill',
+            opacity: 'Opacity',
+            blur: 'Blur',
+            strokeWidth: 'Stroke Width',
+            strokeColor: 'Stroke Color',
+            'range:start': 'Range Start',
+            'range:end': 'Range End',
+            'range:offset': 'Range Offset'
         };
 
         // Handle variable axis properties
@@ -423,6 +694,15 @@ class TimelineManager {
             return `${axisTag} (Variable Axis)`;
         }
 
+        if (property.startsWith('feature:')) {
+            const featureTag = property.replace('feature:', '');
+            return `${featureTag} (OpenType Feature)`;
+        }
+
+        if (property.startsWith('effect:')) {
+            return window.TextEffects.getPropertyDisplayName(textObject, property);
+        }
+
         return displayNames[property] || property;
     }
 
@@ -439,6 +719,11 @@ class TimelineManager {
             keyframeElement.classList.add('selected');
         }
 
+        // Hold keyframes are drawn square
+        if (keyframe.hold) {
+            keyframeElement.classList.add('hold');
+        }
+
         const timelineWidth = this.calculateTimelineWidth();
         const position = (keyframe.frame / this.app.totalFrames) * timelineWidth;
         // Center the keyframe dot by subtracting half its width (7px)
@@ -459,6 +744,9 @@ class TimelineManager {
 
             const span = document.createElement('div');
             span.className = 'keyframe-span';
+            if (keyframes[i].hold) {
+                span.classList.add('hold');
+            }
 
             const startPosition = (startFrame / this.app.totalFrames) * timelineWidth;
             const endPosition = (endFrame / this.app.totalFrames) * timelineWidth;
@@ -473,10 +761,16 @@ class TimelineManager {
     setupPropertyLayerEventListeners(layer, textObject, property) {
         // Keyframe selection and dragging
         layer.addEventListener('mousedown', (e) => {
-            if (e.target.classList.contains('keyframe')) {
+            if (e.target.classList.contains('keyframe') && e.button === 0) {
                 this.handlePropertyKeyframeMouseDown(e, textObject, property);
             }
         });
+
+        layer.addEventListener('contextmenu', (e) => {
+            if (e.target.classList.contains('keyframe')) {
+                this.showPropertyKeyframeContextMenu(e, textObject, property);
+            }
+        });
     }
 
     addPropertyKeyframe(textObject, property, frame) {
@@ -498,6 +792,15 @@ class TimelineManager {
         const frame = parseInt(keyframe.dataset.frame);
         const isCurrentlySelected = this.isKeyframeSelected(textObject.id, property, frame);
 
+        // Alt-drag stretches the selection in time, with Shift around the playhead
+        if (e.altKey) {
+            if (!isCurrentlySelected) {
+                this.selectPropertyKeyframe(textObject.id, property, frame);
+            }
+            this.startKeyframeStretch(e, frame, e.shiftKey ? 'playhead' : 'first');
+            return;
+        }
+
         // Handle selection
         if (e.shiftKey) {
             // Shift-click: Add/remove from selection
@@ -679,6 +982,225 @@ class TimelineManager {
         this.app.updateRightPanel();
     }
 
+    // Selected keyframes with their text objects, and the frames they started at
+    getSelectedKeyframeRefs() {
+        return this.selectedKeyframes.map(selected => {
+            const textObject = this.app.textObjects.find(obj => obj.id === selected.objectId);
+            const keyframe = this.findKeyframe(selected.objectId, selected.property, selected.frame);
+            return textObject && keyframe ? { selected, textObject, keyframe, frame: keyframe.frame } : null;
+        }).filter(Boolean);
+    }
+
+    // Move keyframes to the frames mapFrame gives for their starting frames. Nothing is
+    // moved and false is returned if any keyframe would leave the timeline or land on
+    // another keyframe of its property.
+    retimeKeyframes(refs, mapFrame) {
+        const moves = refs.map(ref => ({ ref, frame: mapFrame(ref.frame) }));
+        const occupied = new Map();
+
+        for (const { ref, frame } of moves) {
+            if (frame < 0 || frame >= this.app.totalFrames) return false;
+
+            const key = `${ref.selected.objectId}-${ref.selected.property}`;
+            if (!occupied.has(key)) {
+                const moving = refs.filter(other => other.textObject === ref.textObject && other.selected.property === ref.selected.property)
+                    .map(other => other.keyframe);
+                const frames = ref.textObject.keyframes[ref.selected.property]
+                    .filter(keyframe => !moving.includes(keyframe))
+                    .map(keyframe => keyframe.frame);
+                occupied.set(key, new Set(frames));
+            }
+
+            const frames = occupied.get(key);
+            if (frames.has(frame)) return false;
+            frames.add(frame);
+        }
+
+        moves.forEach(({ ref, frame }) => {
+            ref.keyframe.frame = frame;
+            ref.selected.frame = frame;
+            ref.selected.id = `${ref.selected.objectId}-${ref.selected.property}-${frame}`;
+        });
+        refs.forEach(ref => {
+            ref.textObject.keyframes[ref.selected.property].sort((a, b) => a.frame - b.frame);
+        });
+        return true;
+    }
+
+    // Frame the selection is scaled around, the first selected keyframe or the playhead
+    getStretchAnchor(refs, anchor) {
+        return anchor === 'playhead' ? this.app.currentFrame : Math.min(...refs.map(ref => ref.frame));
+    }
+
+    scaleKeyframes(refs, anchorFrame, factor) {
+        return this.retimeKeyframes(refs, frame => Math.round(anchorFrame + (frame - anchorFrame) * factor));
+    }
+
+    // Alt-drag of a selected keyframe scales the selection so the dragged keyframe follows
+    // the mouse. Dragging the anchor keyframe itself scales around the last keyframe.
+    startKeyframeStretch(e, clickedFrame, anchor) {
+        const refs = this.getSelectedKeyframeRefs();
+        if (refs.length < 2 && anchor === 'first') return;
+
+        let anchorFrame = this.getStretchAnchor(refs, anchor);
+        if (anchorFrame === clickedFrame && anchor === 'first') {
+            anchorFrame = Math.max(...refs.map(ref => ref.frame));
+        }
+        if (anchorFrame === clickedFrame) return;
+
+        let stretched = false;
+
+        const onMouseMove = (moveEvent) => {
+            const mouseFrame = this.getFrameFromClientX(moveEvent.clientX);
+            const factor = (mouseFrame - anchorFrame) / (clickedFrame - anchorFrame);
+
+            // Keyframes can't be stretched past the anchor, reversing is a separate command
+            if (factor <= 0 || !this.scaleKeyframes(refs, anchorFrame, factor)) return;
+
+            stretched = true;
+            this.updateLayers();
+            this.updateKeyframeSelectionVisual();
+            this.app.redraw();
+            this.app.updateRightPanel();
+        };
+
+        const onMouseUp = () => {
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseup', onMouseUp);
+
+            if (stretched) {
+                this.app.saveState();
+            }
+        };
+
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
+    }
+
+    async stretchSelectedKeyframes(anchor) {
+        const refs = this.getSelectedKeyframeRefs();
+        if (refs.length === 0) return;
+
+        const input = await window.UIManager.promptForInput('Stretch keyframes by percentage', '200 doubles the duration', '100');
+        if (input === null) return;
+
+        const percentage = parseFloat(input);
+        if (!Number.isFinite(percentage) || percentage <= 0) {
+            window.UIManager.createNotification('The stretch percentage must be a number above 0', 'error');
+            return;
+        }
+
+        if (!this.scaleKeyframes(refs, this.getStretchAnchor(refs, anchor), percentage / 100)) {
+            window.UIManager.createNotification('Stretching would move keyframes outside the timeline or onto other keyframes', 'warning');
+            return;
+        }
+
+        this.updateLayers();
+        this.updateKeyframeSelectionVisual();
+        this.app.redraw();
+        this.app.updateRightPanel();
+        this.app.saveState();
+        window.UIManager.createNotification(`Stretched ${refs.length} keyframes to ${percentage}%`, 'success');
+    }
+
+    // Mirror the timing of the selected keyframes within the selection. The transition of
+    // each segment moves to the keyframe that now starts it and is flipped, so the
+    // animation plays backwards. Each property's selected keyframes have to be consecutive.
+    reverseSelectedKeyframes() {
+        const refs = this.getSelectedKeyframeRefs();
+        if (refs.length < 2) return;
+
+        const groups = new Map();
+        refs.forEach(ref => {
+            const key = `${ref.selected.objectId}-${ref.selected.property}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(ref);
+        });
+
+        for (const group of groups.values()) {
+            const keyframes = group[0].textObject.keyframes[group[0].selected.property];
+            const indices = group.map(ref => keyframes.indexOf(ref.keyframe)).sort((a, b) => a - b);
+            if (indices[indices.length - 1] - indices[0] !== indices.length - 1) {
+                window.UIManager.createNotification('Select consecutive keyframes of each property to reverse them', 'warning');
+                return;
+            }
+            group.sort((a, b) => a.frame - b.frame);
+        }
+
+        const first = Math.min(...refs.map(ref => ref.frame));
+        const last = Math.max(...refs.map(ref => ref.frame));
+
+        // A group can't be mirrored past other keyframes of its property
+        for (const group of groups.values()) {
+            const start = first + last - group[group.length - 1].frame;
+            const end = first + last - group[0].frame;
+            const others = group[0].textObject.keyframes[group[0].selected.property]
+                .filter(keyframe => !group.some(ref => ref.keyframe === keyframe));
+            if (others.some(keyframe => keyframe.frame >= start && keyframe.frame <= end)) {
+                window.UIManager.createNotification('Reversing would move keyframes past other keyframes', 'warning');
+                return;
+            }
+        }
+
+        // Transitions as they were, before the keyframes move
+        const transitions = new Map(refs.map(ref => [ref.keyframe, { curve: ref.keyframe.curve, hold: ref.keyframe.hold }]));
+
+        this.retimeKeyframes(refs, frame => first + last - frame);
+
+        let unflipped = 0;
+        groups.forEach(group => {
+            group.forEach((ref, index) => {
+                // The last keyframe of the group keeps the transition to the keyframe after the selection
+                const transition = index === 0
+                    ? transitions.get(group[group.length - 1].keyframe)
+                    : this.flipTransition(transitions.get(group[index - 1].keyframe));
+
+                delete ref.keyframe.curve;
+                delete ref.keyframe.hold;
+                if (transition.curve) ref.keyframe.curve = transition.curve;
+                if (transition.hold) ref.keyframe.hold = true;
+                if (transition.unflipped) unflipped++;
+            });
+        });
+
+        this.updateLayers();
+        this.updateKeyframeSelectionVisual();
+        this.app.redraw();
+        this.app.updateRightPanel();
+        this.app.saveState();
+
+        if (unflipped > 0) {
+            window.UIManager.createNotification(`Reversed ${refs.length} keyframes, ${unflipped} spring, bounce or elastic transition${unflipped === 1 ? '' : 's'} can't be mirrored and kept their shape`, 'warning');
+        } else {
+            window.UIManager.createNotification(`Reversed ${refs.length} keyframes`, 'success');
+        }
+    }
+
+    // The transition that plays a segment backwards. A hold becomes a jump at the start
+    // of the segment and back.
+    flipTransition({ curve, hold }) {
+        if (hold) {
+            return { curve: { type: 'steps', steps: 1, position: 'start' } };
+        }
+        if (!curve) {
+            return {};
+        }
+
+        switch (window.Easing.getType(curve)) {
+            case 'bezier': {
+                const flip = (value) => Math.round((1 - value) * 1000) / 1000;
+                return { curve: { x1: flip(curve.x2), y1: flip(curve.y2), x2: flip(curve.x1), y2: flip(curve.y1) } };
+            }
+            case 'steps':
+                if (curve.steps === 1 && curve.position === 'start') {
+                    return { hold: true };
+                }
+                return { curve: { ...curve, position: curve.position === 'start' ? 'end' : 'start' } };
+            default:
+                return { curve: { ...curve }, unflipped: true };
+        }
+    }
+
     findKeyframe(objectId, property, frame) {
         const textObject = this.app.textObjects.find(obj => obj.id === objectId);
         if (textObject && textObject.keyframes[property]) {
@@ -687,6 +1209,260 @@ class TimelineManager {
         return null;
     }
 
+    // Keyframe clipboard. Copied keyframes are grouped into one track per object and
+    // property, with frames relative to the earliest copied keyframe so they can be
+    // pasted at the playhead. The data is also put on the system clipboard as JSON.
+    createKeyframeClipboard() {
+        const tracks = [];
+        this.selectedKeyframes.forEach(selected => {
+            const textObject = this.app.textObjects.find(obj => obj.id === selected.objectId);
+            const keyframe = this.findKeyframe(selected.objectId, selected.property, selected.frame);
+            if (!textObject || !keyframe) return;
+
+            let track = tracks.find(other => other.objectId === selected.objectId && other.property === selected.property);
+            if (!track) {
+                const range = this.getPropertyRange(textObject, selected.property);
+                track = { objectId: selected.objectId, property: selected.property, ...(range ? { range } : {}), keyframes: [] };
+                tracks.push(track);
+            }
+            track.keyframes.push(JSON.parse(JSON.stringify(keyframe)));
+        });
+
+        if (tracks.length === 0) return null;
+
+        const startFrame = Math.min(...tracks.flatMap(track => track.keyframes.map(keyframe => keyframe.frame)));
+        tracks.forEach(track => {
+            track.keyframes.forEach(keyframe => {
+                keyframe.frame -= startFrame;
+            });
+            track.keyframes.sort((a, b) => a.frame - b.frame);
+        });
+
+        return { format: TimelineManager.CLIPBOARD_FORMAT, version: 1, tracks };
+    }
+
+    async copySelectedKeyframes() {
+        const data = this.createKeyframeClipboard();
+        if (!data) return false;
+
+        this.keyframeClipboard = data;
+        const count = data.tracks.reduce((sum, track) => sum + track.keyframes.length, 0);
+
+        // The copy also stays available within the app if the system clipboard is denied
+        try {
+            await navigator.clipboard.writeText(JSON.stringify(data, null, 2));
+        } catch (error) {
+            console.warn('Could not write keyframes to the system clipboard:', error);
+        }
+
+        window.UIManager.createNotification(`Copied ${count} keyframe${count === 1 ? '' : 's'}`, 'info');
+        return true;
+    }
+
+    // Keyframes from the system clipboard, falling back to the last copy in the app.
+    // Clipboard text may have been edited, so malformed tracks and keyframes are dropped.
+    async readKeyframeClipboard() {
+        try {
+            const data = JSON.parse(await navigator.clipboard.readText());
+            if (data && data.format === TimelineManager.CLIPBOARD_FORMAT && Array.isArray(data.tracks)) {
+                const tracks = data.tracks.map(track => this.readClipboardTrack(track)).filter(Boolean);
+                if (tracks.length > 0) return { ...data, tracks };
+            }
+        } catch (error) {
+            // Not keyframes, or no permission to read the clipboard
+        }
+        return this.keyframeClipboard || null;
+    }
+
+    // A clipboard track with only its keyframe objects and a usable range, or null
+    readClipboardTrack(track) {
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+        if (!isObject(track) || typeof track.property !== 'string' || !Array.isArray(track.keyframes)) return null;
+
+        const keyframes = track.keyframes.filter(keyframe => isObject(keyframe) && Number.isInteger(keyframe.frame));
+        if (keyframes.length === 0) return null;
+
+        const range = isObject(track.range) && Number.isFinite(track.range.min) && Number.isFinite(track.range.max)
+            ? track.range
+            : null;
+        return { ...track, range, keyframes };
+    }
+
+    // Paste copied keyframes at the playhead onto the selected object, or onto the
+    // objects they were copied from when none is selected. With askForProperty the
+    // keyframes of a single property can be pasted onto another compatible property.
+    async pasteKeyframes(askForProperty = false) {
+        const data = await this.readKeyframeClipboard();
+        if (!data) {
+            window.UIManager.createNotification('There are no copied keyframes to paste', 'warning');
+            return;
+        }
+
+        let targetProperty = null;
+        if (askForProperty) {
+            const properties = [...new Set(data.tracks.map(track => track.property))];
+            if (properties.length !== 1) {
+                window.UIManager.createNotification('Pasting onto another property needs keyframes of a single property', 'warning');
+                return;
+            }
+
+            const input = await window.UIManager.promptForInput('Paste onto property', 'e.g. variableaxis:wdth', properties[0]);
+            if (!input || !input.trim()) return;
+            targetProperty = input.trim();
+        }
+
+        this.insertKeyframes(data, this.app.currentFrame, {
+            targetObject: this.app.selectedObject,
+            targetProperty
+        });
+    }
+
+    // Duplicate the selected keyframes at the playhead, or right after the selection
+    // when the playhead is inside it
+    duplicateSelectedKeyframes() {
+        const data = this.createKeyframeClipboard();
+        if (!data) return;
+
+        const frames = this.selectedKeyframes.map(selected => selected.frame);
+        const first = Math.min(...frames);
+        const last = Math.max(...frames);
+        const startFrame = this.app.currentFrame >= first && this.app.currentFrame <= last ? last + 1 : this.app.currentFrame;
+
+        this.insertKeyframes(data, startFrame, {});
+    }
+
+    insertKeyframes(data, startFrame, { targetObject = null, targetProperty = null }) {
+        const pasted = [];
+        const issues = [];
+        let outside = 0;
+
+        data.tracks.forEach(track => {
+            const textObject = targetObject || this.app.textObjects.find(obj => obj.id === track.objectId);
+            if (!textObject || !Array.isArray(track.keyframes)) return;
+
+            const property = targetProperty || track.property;
+            const message = this.getPasteIssue(textObject, track.property, property);
+            if (message) {
+                issues.push(message);
+                return;
+            }
+
+            const validate = window.ProjectSchema.getPropertyValidator(property);
+            const targetRange = this.getPropertyRange(textObject, property);
+
+            track.keyframes.forEach(source => {
+                const frame = startFrame + source.frame;
+                if (!Number.isInteger(frame) || frame < 0 || frame >= this.app.totalFrames) {
+                    outside++;
+                    return;
+                }
+
+                let value = source.value;
+                if (property !== track.property && track.range && targetRange) {
+                    value = this.remapValue(value, track.range, targetRange);
+                }
+
+                let curveError = null;
+                if (source.curve) {
+                    window.ProjectSchema.validateCurve(source.curve, 'curve', (path, error) => {
+                        curveError = curveError || error;
+                    });
+                }
+                const valueError = validate(value);
+                if (valueError || curveError) {
+                    issues.push(`${this.getPropertyDisplayName(property, textObject)} at frame ${frame} ${valueError || `curve ${curveError}`}`);
+                    return;
+                }
+
+                this.app.setKeyframe(textObject, property, frame, value);
+                const keyframe = textObject.keyframes[property].find(kf => kf.frame === frame);
+                delete keyframe.curve;
+                delete keyframe.hold;
+                if (source.curve) keyframe.curve = JSON.parse(JSON.stringify(source.curve));
+                if (source.hold === true) keyframe.hold = true;
+
+                pasted.push({ objectId: textObject.id, property, frame });
+            });
+        });
+
+        if (outside > 0) {
+            issues.push(`${outside} keyframe${outside === 1 ? '' : 's'} fell outside the timeline`);
+        }
+
+        if (pasted.length === 0) {
+            window.UIManager.createNotification(`No keyframes pasted${issues.length > 0 ? `: ${issues.join('; ')}` : ''}`, 'warning');
+            return;
+        }
+
+        // The pasted keyframes become the selection
+        this.selectedKeyframes = [];
+        pasted.forEach(({ objectId, property, frame }) => {
+            this.selectedKeyframes.push({ id: `${objectId}-${property}-${frame}`, objectId, property, frame });
+        });
+
+        this.updateLayers();
+        this.updateKeyframeSelectionVisual();
+        this.app.redraw();
+        this.app.updateRightPanel();
+        this.app.saveState();
+
+        const summary = `Pasted ${pasted.length} keyframe${pasted.length === 1 ? '' : 's'}`;
+        if (issues.length > 0) {
+            window.UIManager.createNotification(`${summary}, skipped ${issues.join('; ')}`, 'warning');
+        } else {
+            window.UIManager.createNotification(summary, 'success');
+        }
+    }
+
+    // Why keyframes of one property can't be pasted onto another, or null if they can.
+    // Numeric properties can be pasted onto each other, colors, gradients and features
+    // only onto their own kind.
+    getPasteIssue(textObject, fromProperty, toProperty) {
+        if (!window.ProjectSchema.getPropertyValidator(toProperty)) {
+            return `unknown property "${toProperty}"`;
+        }
+
+        const kind = (property) => {
+            if (this.app.isColorProperty(property)) return 'color';
+            if (property === 'fill') return 'fill';
+            if (property.startsWith('feature:')) return 'feature';
+            return 'number';
+        };
+        if (kind(fromProperty) !== kind(toProperty)) {
+            return `${this.getPropertyDisplayName(fromProperty)} can't be pasted onto ${this.getPropertyDisplayName(toProperty, textObject)}`;
+        }
+
+        if (toProperty !== fromProperty && toProperty.startsWith('variableaxis:') && !this.getPropertyRange(textObject, toProperty)) {
+            return `${textObject.fontFamily} has no ${toProperty.replace('variableaxis:', '')} axis`;
+        }
+
+        const effect = window.TextEffects.parseProperty(toProperty);
+        if (effect && !window.TextEffects.getEffect(textObject, effect.id)) {
+            return `"${textObject.text}" has no effect ${effect.id}`;
+        }
+
+        return null;
+    }
+
+    // Value range of a bounded property, used to remap values pasted onto another property
+    getPropertyRange(textObject, property) {
+        if (property.startsWith('variableaxis:')) {
+            const fontInfo = this.app.fonts.get(textObject.fontFamily);
+            const axisInfo = fontInfo && fontInfo.variableAxes && fontInfo.variableAxes[property.replace('variableaxis:', '')];
+            return axisInfo ? { min: axisInfo.min, max: axisInfo.max } : null;
+        }
+
+        // Other bounded properties keep their values, only range selector values are remapped
+        if (!property.startsWith('range:')) return null;
+        return window.ProjectSchema.PROPERTY_RANGES[property] || null;
+    }
+
+    remapValue(value, from, to) {
+        if (from.max === from.min) return to.min;
+        const t = (value - from.min) / (from.max - from.min);
+        return Math.round((to.min + t * (to.max - to.min)) * 100) / 100;
+    }
+
     selectPropertyKeyframe(objectId, property, frame, addToSelection = false) {
         const keyframeId = `${objectId}-${property}-${frame}`;
 
@@ -729,7 +1505,15 @@ class TimelineManager {
             const selector = `.keyframe[data-object-id="${selected.objectId}"][data-property="${selected.property}"][data-frame="${selected.frame}"]`;
             const keyframeElements = document.querySelectorAll(selector);
             keyframeElements.forEach(el => el.classList.add('selected'));
+
+            // Collapsed layers show a keyframe as selected when any of its properties is
+            const collapsedSelector = `.collapsed-keyframe[data-object-id="${selected.objectId}"][data-frame="${selected.frame}"]`;
+            document.querySelectorAll(collapsedSelector).forEach(el => el.classList.add('selected'));
         });
+
+        if (this.graphMode) {
+            this.drawGraph();
+        }
     }
 
     clearKeyframeSelection() {
@@ -737,83 +1521,8 @@ class TimelineManager {
         this.updateKeyframeSelectionVisual();
     }
 
-
-
-
-
-    setupLayerEventListeners(layer, textObject) {
-        // In the new structure, the layer element itself is the content area
-        const content = layer;
-
-        // Keyframe selection and dragging
-        content.addEventListener('mousedown', (e) => {
-            if (e.target.classList.contains('keyframe')) {
-                this.handleKeyframeMouseDown(e, textObject);
-            }
-        });
-
-        // Context menu for keyframe deletion
-        content.addEventListener('contextmenu', (e) => {
-            if (e.target.classList.contains('keyframe')) {
-                e.preventDefault();
-                this.showKeyframeContextMenu(e, textObject);
-            }
-        });
-    }
-
-    handleKeyframeMouseDown(e, textObject) {
-        const keyframe = e.target;
-        const frame = parseInt(keyframe.dataset.frame);
-
-        // Select keyframe
-        if (!e.shiftKey && !e.ctrlKey && !e.metaKey) {
-            this.clearKeyframeSelection();
-        }
-        this.selectKeyframe(textObject.id, frame);
-
-        // Start dragging
-        let isDragging = false;
-        const startX = e.clientX;
-        const startFrame = frame;
-
-        const handleMouseMove = (e) => {
-            if (!isDragging && Math.abs(e.clientX - startX) > 5) {
-                isDragging = true;
-                keyframe.style.cursor = 'grabbing';
-            }
-
-            if (isDragging) {
-                const content = keyframe.parentElement;
-                const rect = content.getBoundingClientRect();
-                const x = e.clientX - rect.left;
-                const newFrame = Math.max(0, Math.min(this.app.totalFrames - 1,
-                    Math.round((x / rect.width) * this.app.totalFrames)));
-
-                // Check if frame is available
-                const existingKeyframe = textObject.keyframes.find(kf => kf.frame === newFrame && kf.frame !== startFrame);
-                if (!existingKeyframe) {
-                    this.moveKeyframe(textObject, startFrame, newFrame);
-                }
-            }
-        };
-
-        const handleMouseUp = () => {
-            if (isDragging) {
-                this.app.saveState();
-                keyframe.style.cursor = '';
-            }
-            document.removeEventListener('mousemove', handleMouseMove);
-            document.removeEventListener('mouseup', handleMouseUp);
-        };
-
-        document.addEventListener('mousemove', handleMouseMove);
-        document.addEventListener('mouseup', handleMouseUp);
-    }
-
-    showKeyframeContextMenu(e, textObject) {
-        const frame = parseInt(e.target.dataset.frame);
-
-        // Create a simple context menu
+    // Simple context menu at the mouse. Items are { label, action, danger, disabled }.
+    showContextMenu(e, items) {
         const menu = document.createElement('div');
         menu.style.cssText = `
             position: fixed;
@@ -828,360 +1537,470 @@ class TimelineManager {
             box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
         `;
 
-        const deleteOption = document.createElement('div');
-        deleteOption.style.cssText = `
-            padding: 8px 16px;
-            cursor: pointer;
-            color: #ffffff;
-            font-size: 12px;
-        `;
-        deleteOption.textContent = 'Delete Keyframe';
-        deleteOption.addEventListener('mouseenter', () => {
-            deleteOption.style.background = '#d32f2f';
-        });
-        deleteOption.addEventListener('mouseleave', () => {
-            deleteOption.style.background = 'transparent';
-        });
-        deleteOption.addEventListener('click', () => {
-            this.deleteKeyframe(textObject, frame);
-            document.body.removeChild(menu);
+        items.forEach(item => {
+            const option = document.createElement('div');
+            option.style.cssText = `
+                padding: 8px 16px;
+                cursor: ${item.disabled ? 'default' : 'pointer'};
+                color: ${item.disabled ? '#777777' : '#ffffff'};
+                font-size: 12px;
+            `;
+            option.textContent = item.label;
+            if (!item.disabled) {
+                option.addEventListener('mouseenter', () => {
+                    option.style.background = item.danger ? '#d32f2f' : '#0078d4';
+                });
+                option.addEventListener('mouseleave', () => {
+                    option.style.background = 'transparent';
+                });
+                option.addEventListener('click', () => {
+                    removeMenu();
+                    item.action();
+                });
+            }
+            menu.appendChild(option);
         });
 
-        menu.appendChild(deleteOption);
         document.body.appendChild(menu);
 
         // Remove menu on click outside
-        const removeMenu = (e) => {
-            if (!menu.contains(e.target)) {
+        const removeMenu = () => {
+            if (menu.parentNode) {
                 document.body.removeChild(menu);
-                document.removeEventListener('click', removeMenu);
             }
+            document.removeEventListener('click', handleOutsideClick);
         };
-        setTimeout(() => document.addEventListener('click', removeMenu), 100);
-    }
-
-    addKeyframe(textObject, frame) {
-        // Check if keyframe already exists at this frame
-        const existingKeyframe = textObject.keyframes.find(kf => kf.frame === frame);
-        if (existingKeyframe) {
-            if (window.UIManager) {
-                window.UIManager.createNotification('Keyframe already exists at this frame', 'warning');
-            }
-            return;
-        }
-
-        // Get current properties for the new keyframe
-        const currentProps = this.app.getObjectPropertiesAtFrame(textObject, frame);
-
-        const newKeyframe = {
-            frame: frame,
-            properties: { ...currentProps },
-            curve: {
-                cp1x: 33.33, cp1y: 0,
-                cp2x: 66.67, cp2y: 100
+        const handleOutsideClick = (e) => {
+            if (!menu.contains(e.target)) {
+                removeMenu();
             }
         };
+        setTimeout(() => document.addEventListener('click', handleOutsideClick), 100);
+    }
 
-        textObject.keyframes.push(newKeyframe);
-        textObject.keyframes.sort((a, b) => a.frame - b.frame);
-
-        this.update();
-        this.app.redraw(); // Repaint canvas
-        this.app.updateRightPanel(); // Recalculate numerical values in UI
-        this.app.saveState();
+    showPropertyKeyframeContextMenu(e, textObject, property) {
+        e.preventDefault();
+        e.stopPropagation();
 
-        if (window.UIManager) {
-            window.UIManager.createNotification(`Added keyframe at frame ${frame}`, 'success');
+        // Right-clicking an unselected keyframe works on that keyframe alone
+        const frame = parseInt(e.target.dataset.frame);
+        if (!this.isKeyframeSelected(textObject.id, property, frame)) {
+            this.selectPropertyKeyframe(textObject.id, property, frame);
         }
+
+        const count = this.selectedKeyframes.length;
+        const plural = count === 1 ? '' : 's';
+        this.showContextMenu(e, [
+            { label: `Copy Keyframe${plural}`, action: () => this.copySelectedKeyframes() },
+            { label: 'Reverse Keyframes', disabled: count < 2, action: () => this.reverseSelectedKeyframes() },
+            { label: 'Stretch from First Keyframe…', disabled: count < 2, action: () => this.stretchSelectedKeyframes('first') },
+            { label: 'Stretch from Playhead…', action: () => this.stretchSelectedKeyframes('playhead') },
+            {
+                label: `Delete Keyframe${plural}`,
+                danger: true,
+                action: () => {
+                    this.deleteSelectedKeyframes();
+                    this.app.saveState();
+                }
+            }
+        ]);
     }
 
-    deleteKeyframe(textObject, frame) {
-        const keyframeIndex = textObject.keyframes.findIndex(kf => kf.frame === frame);
-        if (keyframeIndex > -1 && textObject.keyframes.length > 1) {
-            textObject.keyframes.splice(keyframeIndex, 1);
-            this.clearKeyframeSelection();
-            this.update();
-            this.app.redraw(); // Repaint canvas
-            this.app.updateRightPanel(); // Recalculate numerical values in UI
-            this.app.saveState();
+    // Graph editor: plots the values of the animated properties of expanded layers over
+    // time instead of the keyframe rows. Every curve gets its own value axis so properties
+    // with different ranges can be overlaid. Keyframe values and the bezier handles of the
+    // segments next to selected keyframes can be dragged on the graph.
+    setupGraphEditor() {
+        const toggle = document.getElementById('graphEditorToggle');
+        const canvas = document.getElementById('graphEditor');
+        const timelineContainer = document.getElementById('timelineContainer');
+        if (!toggle || !canvas || !timelineContainer) return;
 
-            if (window.UIManager) {
-                window.UIManager.createNotification(`Deleted keyframe at frame ${frame}`, 'info');
-            }
-        } else if (textObject.keyframes.length === 1) {
-            if (window.UIManager) {
-                window.UIManager.createNotification('Cannot delete the last keyframe', 'warning');
+        toggle.addEventListener('click', () => this.setGraphMode(!this.graphMode));
+        canvas.addEventListener('mousedown', (e) => this.handleGraphMouseDown(e));
+        canvas.addEventListener('mousemove', (e) => {
+            if (!this.graphDrag) {
+                canvas.style.cursor = this.getGraphTarget(e) ? 'grab' : 'default';
             }
+        });
+
+        // Value labels stay at the left edge of the visible area
+        timelineContainer.addEventListener('scroll', () => {
+            if (this.graphMode) this.drawGraph();
+        });
+
+        // The graph fills the timeline, which can be resized with its divider
+        if (window.ResizeObserver) {
+            new ResizeObserver(() => {
+                if (this.graphMode) this.drawGraph();
+            }).observe(timelineContainer);
         }
     }
 
-    moveKeyframe(textObject, oldFrame, newFrame) {
-        const keyframe = textObject.keyframes.find(kf => kf.frame === oldFrame);
-        if (keyframe) {
-            keyframe.frame = newFrame;
-            textObject.keyframes.sort((a, b) => a.frame - b.frame);
-            this.update();
-            this.app.redraw(); // Repaint canvas
-            this.app.updateRightPanel(); // Recalculate numerical values in UI
-        }
+    setGraphMode(enabled) {
+        this.graphMode = enabled;
+        document.getElementById('graphEditorToggle').classList.toggle('active', enabled);
+        document.getElementById('timelineLayers').style.display = enabled ? 'none' : '';
+        document.getElementById('graphEditor').style.display = enabled ? 'block' : 'none';
+        this.updateLayers();
     }
 
-    selectKeyframe(objectId, frame) {
-        const key = `${objectId}-${frame}`;
-        if (!this.selectedKeyframes.includes(key)) {
-            this.selectedKeyframes.push(key);
-        }
-        this.updateKeyframeSelection();
-        this.updateInterpolationPanel();
+    // Colors, gradients, booleans and OpenType features can't be drawn as a value curve
+    isGraphProperty(property) {
+        return !this.app.isColorProperty(property) && property !== 'fill' && !this.app.isSteppedProperty(property);
     }
 
-    clearKeyframeSelection() {
-        this.selectedKeyframes = [];
-        this.updateKeyframeSelection();
-        this.updateInterpolationPanel();
+    getGraphCurves() {
+        const curves = [];
+        this.app.textObjects.forEach(textObject => {
+            if (!textObject._timelineExpanded) return;
+
+            Object.keys(textObject.keyframes).forEach(property => {
+                const keyframes = textObject.keyframes[property];
+                if (!keyframes || keyframes.length === 0 || !this.isGraphProperty(property)) return;
+
+                curves.push({
+                    textObject,
+                    property,
+                    key: `${textObject.id}-${property}`,
+                    color: TimelineManager.GRAPH_COLORS[curves.length % TimelineManager.GRAPH_COLORS.length]
+                });
+            });
+        });
+        return curves;
     }
 
-    isKeyframeSelected(objectId, frame) {
-        return this.selectedKeyframes.includes(`${objectId}-${frame}`);
+    // Curves can outlive their keyframes until the layers are rebuilt
+    getVisibleGraphCurves() {
+        return this.graphCurves.filter(curve => !this.hiddenGraphCurves.has(curve.key) &&
+            this.app.textObjects.includes(curve.textObject) &&
+            (curve.textObject.keyframes[curve.property] || []).length > 0);
     }
 
-    updateKeyframeSelection() {
-        // Update visual selection in timeline
-        document.querySelectorAll('.keyframe').forEach(keyframe => {
-            const objectId = keyframe.dataset.objectId;
-            const frame = keyframe.dataset.frame;
+    // Property names in the layer column show their curve's color and toggle it on click
+    setupGraphLayerName(subLayer, textObject, property) {
+        const curve = this.graphCurves.find(graphCurve => graphCurve.textObject === textObject && graphCurve.property === property);
+        if (!curve) {
+            subLayer.classList.add('graph-unplottable');
+            subLayer.title = 'Not shown in the graph';
+            return;
+        }
 
-            if (this.isKeyframeSelected(objectId, parseInt(frame))) {
-                keyframe.classList.add('selected');
+        const swatch = document.createElement('span');
+        swatch.className = 'graph-swatch';
+        swatch.style.background = curve.color;
+        subLayer.prepend(swatch);
+
+        subLayer.classList.add('graph-toggle');
+        subLayer.classList.toggle('graph-hidden', this.hiddenGraphCurves.has(curve.key));
+        subLayer.title = 'Click to show or hide the curve';
+        subLayer.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.hiddenGraphCurves.has(curve.key)) {
+                this.hiddenGraphCurves.delete(curve.key);
             } else {
-                keyframe.classList.remove('selected');
+                this.hiddenGraphCurves.add(curve.key);
             }
+            this.updateLayers();
         });
     }
 
-    updateInterpolationPanel() {
-        const interpolationPanel = document.getElementById('interpolationPanel');
-
-        if (this.selectedKeyframes.length >= 2) {
-            const validPairs = this.getConsecutiveKeyframePairs();
+    // The bezier of a segment as drawn on the graph, linear segments get handles a third
+    // of the way along so they can be grabbed
+    getSegmentBezier(keyframe) {
+        return keyframe.curve || { x1: 1 / 3, y1: 1 / 3, x2: 2 / 3, y2: 2 / 3 };
+    }
 
-            if (validPairs.length > 0) {
-                interpolationPanel.style.display = 'block';
-                this.setupCurveEditor(validPairs[0]);
-            } else {
-                interpolationPanel.style.display = 'none';
-            }
-        } else {
-            interpolationPanel.style.display = 'none';
+    // Whether a segment has bezier handles on the graph, which needs one of its keyframes
+    // to be selected
+    hasGraphHandles(curve, index) {
+        const keyframes = curve.textObject.keyframes[curve.property];
+        const keyframe = keyframes[index];
+        const next = keyframes[index + 1];
+        if (!next || keyframe.hold || (keyframe.curve && window.Easing.getType(keyframe.curve) !== 'bezier')) {
+            return false;
         }
+
+        return this.isKeyframeSelected(curve.textObject.id, curve.property, keyframe.frame) ||
+            this.isKeyframeSelected(curve.textObject.id, curve.property, next.frame);
     }
 
-    getConsecutiveKeyframePairs() {
-        const keyframesByObject = {};
+    // Handle positions of a segment in frames and values
+    getGraphHandles(keyframe, next) {
+        const bezier = this.getSegmentBezier(keyframe);
+        const frames = next.frame - keyframe.frame;
+        const values = next.value - keyframe.value;
+        return [
+            { frame: keyframe.frame + bezier.x1 * frames, value: keyframe.value + bezier.y1 * values },
+            { frame: keyframe.frame + bezier.x2 * frames, value: keyframe.value + bezier.y2 * values }
+        ];
+    }
 
-        this.selectedKeyframes.forEach(key => {
-            const [objectId, frame] = key.split('-');
-            if (!keyframesByObject[objectId]) {
-                keyframesByObject[objectId] = [];
-            }
-            keyframesByObject[objectId].push(parseInt(frame));
-        });
+    // Value range of a curve including its overshoot and visible handles
+    getGraphScale(curve, pixelsPerFrame, width) {
+        const keyframes = curve.textObject.keyframes[curve.property];
+        const values = keyframes.map(keyframe => keyframe.value);
 
-        const pairs = [];
-        Object.entries(keyframesByObject).forEach(([objectId, frames]) => {
-            frames.sort((a, b) => a - b);
-            for (let i = 0; i < frames.length - 1; i++) {
-                const textObject = this.app.textObjects.find(obj => obj.id.toString() === objectId);
-                if (textObject) {
-                    const keyframes = textObject.keyframes.sort((a, b) => a.frame - b.frame);
-                    const currentIndex = keyframes.findIndex(kf => kf.frame === frames[i]);
-                    const nextIndex = keyframes.findIndex(kf => kf.frame === frames[i + 1]);
-
-                    if (nextIndex === currentIndex + 1) {
-                        pairs.push({
-                            objectId: objectId,
-                            startFrame: frames[i],
-                            endFrame: frames[i + 1],
-                            startKeyframe: keyframes[currentIndex],
-                            endKeyframe: keyframes[nextIndex]
-                        });
-                    }
-                }
+        for (let x = 0; x <= width; x += 4) {
+            values.push(this.app.getPropertyValue(curve.textObject, curve.property, x / pixelsPerFrame));
+        }
+        keyframes.forEach((keyframe, index) => {
+            if (this.hasGraphHandles(curve, index)) {
+                this.getGraphHandles(keyframe, keyframes[index + 1]).forEach(handle => values.push(handle.value));
             }
         });
 
-        return pairs;
+        let min = Math.min(...values);
+        let max = Math.max(...values);
+        if (max - min < 1e-6) {
+            min -= 1;
+            max += 1;
+        }
+        const margin = (max - min) * 0.1;
+        return { min: min - margin, max: max + margin };
     }
 
-    setupCurveEditor(pair) {
-        const canvas = document.getElementById('curveEditor');
-        const ctx = canvas.getContext('2d');
+    drawGraph() {
+        const canvas = document.getElementById('graphEditor');
+        const timelineContainer = document.getElementById('timelineContainer');
+        if (!canvas || !timelineContainer) return;
 
-        // Ensure curve exists
-        if (!pair.startKeyframe.curve) {
-            pair.startKeyframe.curve = {
-                cp1x: 33.33, cp1y: 0,
-                cp2x: 66.67, cp2y: 100
-            };
+        const width = this.calculateTimelineWidth();
+        const height = Math.max(60, timelineContainer.clientHeight);
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
         }
 
-        this.drawCurve(ctx, pair.startKeyframe.curve);
-        this.setupCurveInteraction(canvas, pair);
-    }
-
-    drawCurve(ctx, curve) {
-        const width = ctx.canvas.width;
-        const height = ctx.canvas.height;
+        const ctx = canvas.getContext('2d');
+        const pixelsPerFrame = width / this.app.totalFrames;
+        const padding = TimelineManager.GRAPH_PADDING;
+        const graphHeight = height - 2 * padding;
+        const left = timelineContainer.scrollLeft;
 
         ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = '#1e1e1e';
+        ctx.fillRect(0, 0, width, height);
 
-        // Draw grid
-        ctx.strokeStyle = '#404040';
+        // Grid lines match the marks of the time ruler
+        ctx.strokeStyle = '#2a2a2a';
         ctx.lineWidth = 1;
-
-        for (let i = 0; i <= 4; i++) {
-            const x = (i / 4) * width;
-            const y = (i / 4) * height;
-
+        const frameStep = this.roundToNiceNumber(Math.max(1, Math.ceil(this.app.totalFrames / 20)));
+        for (let frame = 0; frame <= this.app.totalFrames; frame += frameStep) {
             ctx.beginPath();
-            ctx.moveTo(x, 0);
-            ctx.lineTo(x, height);
+            ctx.moveTo(frame * pixelsPerFrame + 0.5, 0);
+            ctx.lineTo(frame * pixelsPerFrame + 0.5, height);
             ctx.stroke();
-
+        }
+        for (let i = 0; i <= 4; i++) {
+            const y = Math.round(padding + (i / 4) * graphHeight) + 0.5;
             ctx.beginPath();
             ctx.moveTo(0, y);
             ctx.lineTo(width, y);
             ctx.stroke();
         }
 
-        // Draw curve
-        ctx.strokeStyle = '#0078d4';
-        ctx.lineWidth = 3;
-        ctx.beginPath();
-        ctx.moveTo(0, height);
-        ctx.bezierCurveTo(
-            (curve.cp1x / 100) * width, height - (curve.cp1y / 100) * height,
-            (curve.cp2x / 100) * width, height - (curve.cp2y / 100) * height,
-            width, 0
-        );
-        ctx.stroke();
-
-        // Draw control points
-        this.drawControlPoint(ctx, (curve.cp1x / 100) * width, height - (curve.cp1y / 100) * height);
-        this.drawControlPoint(ctx, (curve.cp2x / 100) * width, height - (curve.cp2y / 100) * height);
-
-        // Draw control lines
-        ctx.strokeStyle = '#ff6b00';
-        ctx.lineWidth = 1;
-        ctx.setLineDash([4, 4]);
+        const curves = this.getVisibleGraphCurves();
+        this.graphTargets = [];
 
-        ctx.beginPath();
-        ctx.moveTo(0, height);
-        ctx.lineTo((curve.cp1x / 100) * width, height - (curve.cp1y / 100) * height);
-        ctx.stroke();
+        curves.forEach(curve => {
+            // Keep the scale while dragging so the curve doesn't move under the mouse
+            if (!curve.scale || !this.graphDrag) {
+                curve.scale = this.getGraphScale(curve, pixelsPerFrame, width);
+            }
+            const toY = (value) => padding + (1 - (value - curve.scale.min) / (curve.scale.max - curve.scale.min)) * graphHeight;
+            const keyframes = curve.textObject.keyframes[curve.property];
 
-        ctx.beginPath();
-        ctx.moveTo(width, 0);
-        ctx.lineTo((curve.cp2x / 100) * width, height - (curve.cp2y / 100) * height);
-        ctx.stroke();
+            ctx.strokeStyle = curve.color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            for (let x = 0; x <= width; x += 2) {
+                const y = toY(this.app.getPropertyValue(curve.textObject, curve.property, x / pixelsPerFrame));
+                if (x === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            }
+            ctx.stroke();
 
-        ctx.setLineDash([]);
-    }
+            // Handles
+            keyframes.forEach((keyframe, index) => {
+                if (!this.hasGraphHandles(curve, index)) return;
+
+                const next = keyframes[index + 1];
+                this.getGraphHandles(keyframe, next).forEach((handle, handleIndex) => {
+                    const anchor = handleIndex === 0 ? keyframe : next;
+                    const x = handle.frame * pixelsPerFrame;
+                    const y = toY(handle.value);
+
+                    ctx.strokeStyle = '#ff6b00';
+                    ctx.lineWidth = 1;
+                    ctx.setLineDash([4, 4]);
+                    ctx.beginPath();
+                    ctx.moveTo(anchor.frame * pixelsPerFrame, toY(anchor.value));
+                    ctx.lineTo(x, y);
+                    ctx.stroke();
+                    ctx.setLineDash([]);
+
+                    ctx.fillStyle = '#ff6b00';
+                    ctx.beginPath();
+                    ctx.arc(x, y, 4, 0, Math.PI * 2);
+                    ctx.fill();
+
+                    this.graphTargets.push({ type: 'handle', curve, index, handleIndex, x, y });
+                });
+            });
+
+            // Keyframes, hold keyframes are drawn square like in the layer rows
+            keyframes.forEach((keyframe, index) => {
+                const x = keyframe.frame * pixelsPerFrame;
+                const y = toY(keyframe.value);
+                const selected = this.isKeyframeSelected(curve.textObject.id, curve.property, keyframe.frame);
+
+                ctx.fillStyle = selected ? '#ffffff' : curve.color;
+                ctx.strokeStyle = keyframe.frame === this.app.currentFrame ? '#ff6b00' : '#ffffff';
+                ctx.lineWidth = 1.5;
+                ctx.beginPath();
+                if (keyframe.hold) {
+                    ctx.rect(x - 4, y - 4, 8, 8);
+                } else {
+                    ctx.arc(x, y, 5, 0, Math.PI * 2);
+                }
+                ctx.fill();
+                ctx.stroke();
 
-    drawControlPoint(ctx, x, y) {
+                this.graphTargets.push({ type: 'keyframe', curve, index, x, y });
+            });
+        });
+
+        // Current frame
+        const cursorX = this.app.currentFrame * pixelsPerFrame;
         ctx.fillStyle = '#ff6b00';
-        ctx.beginPath();
-        ctx.arc(x, y, 6, 0, Math.PI * 2);
-        ctx.fill();
+        ctx.fillRect(cursorX - 1, 0, 2, height);
+
+        // Value range of every curve at the left edge of the visible area
+        ctx.font = '10px sans-serif';
+        ctx.textBaseline = 'middle';
+        let labelX = left + 4;
+        curves.forEach(curve => {
+            const max = this.formatGraphValue(curve.scale.max);
+            const min = this.formatGraphValue(curve.scale.min);
+            ctx.fillStyle = curve.color;
+            ctx.fillText(max, labelX, padding / 2);
+            ctx.fillText(min, labelX, height - padding / 2);
+            labelX += Math.max(ctx.measureText(max).width, ctx.measureText(min).width) + 10;
+        });
 
-        ctx.strokeStyle = '#ffffff';
-        ctx.lineWidth = 2;
-        ctx.stroke();
+        if (curves.length === 0) {
+            ctx.fillStyle = '#888888';
+            ctx.textAlign = 'center';
+            ctx.fillText('Expand a layer with animated properties to see its curves', left + timelineContainer.clientWidth / 2, height / 2);
+            ctx.textAlign = 'left';
+        }
     }
 
-    setupCurveInteraction(canvas, pair) {
-        let isDragging = false;
-        let dragPoint = null;
-
-        const getCurvePoint = (e, curve) => {
-            const rect = canvas.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
+    formatGraphValue(value) {
+        return String(Math.round(value * 100) / 100);
+    }
 
-            const cp1x = (curve.cp1x / 100) * canvas.width;
-            const cp1y = canvas.height - (curve.cp1y / 100) * canvas.height;
-            const cp2x = (curve.cp2x / 100) * canvas.width;
-            const cp2y = canvas.height - (curve.cp2y / 100) * canvas.height;
+    // The keyframe or handle under the mouse, handles are drawn on top and win
+    getGraphTarget(e) {
+        const canvas = document.getElementById('graphEditor');
+        const rect = canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
 
-            const dist1 = Math.sqrt((x - cp1x) ** 2 + (y - cp1y) ** 2);
-            const dist2 = Math.sqrt((x - cp2x) ** 2 + (y - cp2y) ** 2);
+        const targets = (this.graphTargets || []).filter(target => Math.hypot(target.x - x, target.y - y) <= 7);
+        return targets.find(target => target.type === 'handle') || targets[targets.length - 1] || null;
+    }
 
-            if (dist1 < 12) return 'cp1';
-            if (dist2 < 12) return 'cp2';
-            return null;
-        };
+    handleGraphMouseDown(e) {
+        e.preventDefault();
+        const canvas = document.getElementById('graphEditor');
+        const target = this.getGraphTarget(e);
 
-        canvas.addEventListener('mousedown', (e) => {
-            dragPoint = getCurvePoint(e, pair.startKeyframe.curve);
-            if (dragPoint) {
-                isDragging = true;
-                canvas.style.cursor = 'grabbing';
+        // Clicking the empty graph moves the current frame
+        if (!target) {
+            if (!e.shiftKey && !e.ctrlKey && !e.metaKey) {
+                this.clearKeyframeSelection();
             }
-        });
+            this.app.setCurrentFrame(this.getFrameFromClientX(e.clientX));
+            return;
+        }
 
-        canvas.addEventListener('mousemove', (e) => {
-            if (!isDragging) {
-                const point = getCurvePoint(e, pair.startKeyframe.curve);
-                canvas.style.cursor = point ? 'grab' : 'crosshair';
-                return;
+        const { curve, index } = target;
+        const keyframes = curve.textObject.keyframes[curve.property];
+        const keyframe = keyframes[index];
+
+        if (target.type === 'keyframe') {
+            const objectId = curve.textObject.id;
+            const isSelected = this.isKeyframeSelected(objectId, curve.property, keyframe.frame);
+            if (e.shiftKey || e.ctrlKey || e.metaKey) {
+                if (isSelected) {
+                    this.unselectPropertyKeyframe(objectId, curve.property, keyframe.frame);
+                    return;
+                }
+                this.selectPropertyKeyframe(objectId, curve.property, keyframe.frame, true);
+            } else if (!isSelected) {
+                this.selectPropertyKeyframe(objectId, curve.property, keyframe.frame);
             }
+        }
+
+        const padding = TimelineManager.GRAPH_PADDING;
+        const graphHeight = canvas.height - 2 * padding;
+        const startY = e.clientY;
+        const startValue = keyframe.value;
+        const validate = window.ProjectSchema.getPropertyValidator(curve.property);
+        let moved = false;
+
+        this.graphDrag = target;
+        canvas.style.cursor = 'grabbing';
 
+        const onMouseMove = (moveEvent) => {
             const rect = canvas.getBoundingClientRect();
-            const x = Math.max(0, Math.min(canvas.width, e.clientX - rect.left));
-            const y = Math.max(0, Math.min(canvas.height, e.clientY - rect.top));
-
-            const percentX = (x / canvas.width) * 100;
-            const percentY = ((canvas.height - y) / canvas.height) * 100;
-
-            if (dragPoint === 'cp1') {
-                pair.startKeyframe.curve.cp1x = percentX;
-                pair.startKeyframe.curve.cp1y = percentY;
-            } else if (dragPoint === 'cp2') {
-                pair.startKeyframe.curve.cp2x = percentX;
-                pair.startKeyframe.curve.cp2y = percentY;
+            const valuePerPixel = (curve.scale.max - curve.scale.min) / graphHeight;
+
+            if (target.type === 'keyframe') {
+                const value = Math.round((startValue - (moveEvent.clientY - startY) * valuePerPixel) * 100) / 100;
+                if (validate && validate(value)) return;
+                keyframe.value = value;
+            } else {
+                const next = keyframes[index + 1];
+                const frame = (moveEvent.clientX - rect.left) / (canvas.width / this.app.totalFrames);
+                const value = curve.scale.max - (moveEvent.clientY - rect.top - padding) * valuePerPixel;
+                const bezier = { ...this.getSegmentBezier(keyframe) };
+                const [xKey, yKey] = target.handleIndex === 0 ? ['x1', 'y1'] : ['x2', 'y2'];
+
+                // Bezier time has to stay within the segment, values may overshoot.
+                // A segment between equal values can only be retimed.
+                bezier[xKey] = Math.round(Math.max(0, Math.min(1, (frame - keyframe.frame) / (next.frame - keyframe.frame))) * 1000) / 1000;
+                if (next.value !== keyframe.value) {
+                    bezier[yKey] = Math.round((value - keyframe.value) / (next.value - keyframe.value) * 1000) / 1000;
+                }
+                keyframe.curve = bezier;
             }
 
-            this.drawCurve(canvas.getContext('2d'), pair.startKeyframe.curve);
+            moved = true;
+            this.drawGraph();
             this.app.redraw();
-        });
+        };
 
-        canvas.addEventListener('mouseup', () => {
-            if (isDragging) {
-                isDragging = false;
-                dragPoint = null;
-                canvas.style.cursor = 'crosshair';
-                this.app.saveState();
-            }
-        });
+        const onMouseUp = () => {
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseup', onMouseUp);
+            this.graphDrag = null;
+            canvas.style.cursor = 'default';
 
-        canvas.addEventListener('mouseleave', () => {
-            if (isDragging) {
-                isDragging = false;
-                dragPoint = null;
-                canvas.style.cursor = 'crosshair';
+            if (moved) {
+                this.app.saveState();
+                this.app.updateRightPanel();
             }
-        });
-
-        // Reset curve button
-        document.getElementById('resetCurve').onclick = () => {
-            pair.startKeyframe.curve = {
-                cp1x: 33.33, cp1y: 0,
-                cp2x: 66.67, cp2y: 100
-            };
-            this.drawCurve(canvas.getContext('2d'), pair.startKeyframe.curve);
-            this.app.redraw();
-            this.app.saveState();
+            this.drawGraph();
         };
+
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
     }
 
     updateCursor() {
@@ -1208,6 +2027,10 @@ class TimelineManager {
         // Update keyframe highlighting based on current frame
         this.updateCurrentKeyframeHighlight();
 
+        if (this.graphMode) {
+            this.drawGraph();
+        }
+
         // Auto-scroll to keep cursor visible during playback or navigation
         // Skip auto-scroll if user is currently dragging the cursor
         if (!this.isDraggingCursor) {
@@ -145,6 +145,11 @@ class ToolsManager {
                 return;
             }
 
+            // Leave Cmd/Ctrl combinations like copy and paste to the app
+            if (event.metaKey || event.ctrlKey) {
+                return;
+            }
+
             const shortcuts = {
                 'KeyV': 'select',    // V for selection
                 'KeyT': 'text',      // T for text
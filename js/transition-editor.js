@@ -1,4 +1,4 @@
-// Transition Editor for Bezier curve keyframe interpolation
+// Transition Editor for keyframe easing curves
 class TransitionEditor {
     constructor() {
         this.modal = document.getElementById('transitionModal');
@@ -15,6 +15,12 @@ class TransitionEditor {
             cp2: { x: 0.75, y: 0.75 }
         };
 
+        // Easing type, see Easing.TYPES. Only bezier curves use the control points.
+        this.curveType = 'bezier';
+
+        // Hold keeps the keyframe's value until the next keyframe instead of following the curve
+        this.hold = false;
+
         this.isDragging = false;
         this.dragPoint = null;
 
@@ -67,16 +73,32 @@ class TransitionEditor {
             this.updateCanvas();
         });
 
-        // Preset buttons
-        document.querySelectorAll('.preset-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const curve = btn.dataset.curve.split(',').map(parseFloat);
-                this.setControlPoints(curve[0], curve[1], curve[2], curve[3]);
-            });
+        document.getElementById('transitionHold').addEventListener('change', (e) => {
+            this.setHold(e.target.checked);
+        });
+
+        document.getElementById('curveType').addEventListener('change', (e) => {
+            this.setCurveType(e.target.value, window.Easing.DEFAULTS[e.target.value]);
+        });
+
+        // Parameters of the other easing types
+        document.querySelectorAll('.easing-params:not([data-type="bezier"]) input, .easing-params select').forEach(input => {
+            input.addEventListener('input', () => this.updateCanvas());
+            input.addEventListener('change', () => this.updateCanvas());
+        });
+
+        // Preset library
+        this.renderPresets();
+        document.getElementById('savePreset').addEventListener('click', () => this.saveAsPreset());
+        document.getElementById('exportPresets').addEventListener('click', () => this.exportPresets());
+        document.getElementById('importPresets').addEventListener('click', () => {
+            document.getElementById('importPresetsInput').click();
         });
+        document.getElementById('importPresetsInput').addEventListener('change', (e) => this.importPresets(e));
 
         // Action buttons
         document.getElementById('applyTransition').addEventListener('click', () => this.applyTransition());
+        document.getElementById('applyTransitionToSelected').addEventListener('click', () => this.applyToSelectedKeyframes());
         document.getElementById('resetTransition').addEventListener('click', () => this.resetTransition());
         document.getElementById('cancelTransition').addEventListener('click', () => this.closeModal());
     }
@@ -90,18 +112,14 @@ class TransitionEditor {
         this.currentKeyframe = this.findKeyframeAtFrame(textObject, property, app.currentFrame);
 
         if (this.currentKeyframe) {
-            // Load existing curve if available
-            if (this.currentKeyframe.curve) {
-                const curve = this.currentKeyframe.curve;
-                this.setControlPoints(curve.x1, curve.y1, curve.x2, curve.y2);
-            } else {
-                // Default linear curve
-                this.setControlPoints(0, 0, 1, 1);
-            }
+            // Load existing curve if available, otherwise linear
+            this.loadCurve(this.currentKeyframe.curve || null);
         } else {
+            this.setCurveType('bezier');
             // No keyframe at current frame, use default
             this.setControlPoints(0.25, 0.25, 0.75, 0.75);
         }
+        this.setHold(!!(this.currentKeyframe && this.currentKeyframe.hold));
 
         this.modal.style.display = 'block';
         this.updateCanvas();
@@ -135,6 +153,92 @@ class TransitionEditor {
         this.updateCanvas();
     }
 
+    // Show a curve in the editor, null for linear
+    loadCurve(curve) {
+        if (curve && window.Easing.getType(curve) !== 'bezier') {
+            this.setCurveType(curve.type, curve);
+        } else {
+            const { x1, y1, x2, y2 } = curve || { x1: 0, y1: 0, x2: 1, y2: 1 };
+            this.setCurveType('bezier');
+            this.setControlPoints(x1, y1, x2, y2);
+        }
+    }
+
+    // Show the parameters of an easing type, filled from params when given
+    setCurveType(type, params = null) {
+        this.curveType = type;
+        document.getElementById('curveType').value = type;
+        document.querySelectorAll('.easing-params').forEach(group => {
+            group.style.display = group.dataset.type === type ? '' : 'none';
+        });
+
+        if (params && type !== 'bezier') {
+            Object.entries(TransitionEditor.PARAMETER_INPUTS[type]).forEach(([key, id]) => {
+                document.getElementById(id).value = params[key];
+            });
+        }
+
+        this.updateCanvas();
+    }
+
+    // Input ids of each easing type's parameters
+    static get PARAMETER_INPUTS() {
+        return {
+            spring: { mass: 'springMass', stiffness: 'springStiffness', damping: 'springDamping' },
+            bounce: { bounces: 'bounceCount', bounciness: 'bounceBounciness' },
+            elastic: { amplitude: 'elasticAmplitude', period: 'elasticPeriod' },
+            steps: { steps: 'stepsCount', position: 'stepsPosition' }
+        };
+    }
+
+    // The curve as set in the editor. Parameters of the other easing types that are out
+    // of range fall back to the type's defaults.
+    getCurve() {
+        if (this.curveType === 'bezier') {
+            return {
+                x1: this.controlPoints.cp1.x,
+                y1: this.controlPoints.cp1.y,
+                x2: this.controlPoints.cp2.x,
+                y2: this.controlPoints.cp2.y
+            };
+        }
+
+        const defaults = window.Easing.DEFAULTS[this.curveType];
+        const curve = { type: this.curveType };
+
+        Object.entries(TransitionEditor.PARAMETER_INPUTS[this.curveType]).forEach(([key, id]) => {
+            const input = document.getElementById(id);
+            if (input.tagName === 'SELECT') {
+                curve[key] = input.value;
+                return;
+            }
+
+            const value = parseFloat(input.value);
+            const min = parseFloat(input.min);
+            const max = input.max ? parseFloat(input.max) : Infinity;
+            curve[key] = Number.isFinite(value) && value >= min && value <= max ? value : defaults[key];
+        });
+
+        // Counts must be whole numbers
+        ['bounces', 'steps'].forEach(key => {
+            if (key in curve) curve[key] = Math.round(curve[key]);
+        });
+
+        return curve;
+    }
+
+    setHold(hold) {
+        this.hold = hold;
+        document.getElementById('transitionHold').checked = hold;
+
+        // The curve doesn't apply while holding
+        document.querySelectorAll('#curveType, .easing-params input, .easing-params select').forEach(input => {
+            input.disabled = hold;
+        });
+
+        this.updateCanvas();
+    }
+
     updateCanvas() {
         const width = this.canvas.width;
         const height = this.canvas.height;
@@ -146,6 +250,16 @@ class TransitionEditor {
         // Draw grid
         this.drawGrid(width, height, padding);
 
+        if (this.hold) {
+            this.drawHoldStep(width, height, padding);
+            return;
+        }
+
+        if (this.curveType !== 'bezier') {
+            this.drawEasingCurve(width, height, padding);
+            return;
+        }
+
         // Draw bezier curve
         this.drawBezierCurve(width, height, padding);
 
@@ -153,6 +267,17 @@ class TransitionEditor {
         this.drawControlPoints(width, height, padding);
     }
 
+    drawHoldStep(width, height, padding) {
+        // Flat at the start value, then a jump at the next keyframe
+        this.ctx.strokeStyle = '#0078d4';
+        this.ctx.lineWidth = 3;
+        this.ctx.beginPath();
+        this.ctx.moveTo(padding, height - padding);
+        this.ctx.lineTo(width - padding, height - padding);
+        this.ctx.lineTo(width - padding, padding);
+        this.ctx.stroke();
+    }
+
     drawGrid(width, height, padding) {
         const gridWidth = width - 2 * padding;
         const gridHeight = height - 2 * padding;
@@ -184,6 +309,43 @@ class TransitionEditor {
         this.ctx.strokeRect(padding, padding, gridWidth, gridHeight);
     }
 
+    // Sampled curve of a non-bezier easing type. The vertical range grows to fit any
+    // overshoot, with dashed lines marking the start and target values.
+    drawEasingCurve(width, height, padding) {
+        const gridWidth = width - 2 * padding;
+        const gridHeight = height - 2 * padding;
+        const curve = this.getCurve();
+
+        const samples = Array.from({ length: 201 }, (_, index) => window.Easing.evaluate(index / 200, curve));
+        const min = Math.min(0, ...samples);
+        const max = Math.max(1, ...samples);
+        const toY = (value) => height - padding - (value - min) / (max - min) * gridHeight;
+
+        this.ctx.strokeStyle = '#888888';
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([5, 5]);
+        [0, 1].forEach(value => {
+            this.ctx.beginPath();
+            this.ctx.moveTo(padding, toY(value));
+            this.ctx.lineTo(width - padding, toY(value));
+            this.ctx.stroke();
+        });
+        this.ctx.setLineDash([]);
+
+        this.ctx.strokeStyle = '#0078d4';
+        this.ctx.lineWidth = 3;
+        this.ctx.beginPath();
+        samples.forEach((value, index) => {
+            const x = padding + index / 200 * gridWidth;
+            if (index === 0) {
+                this.ctx.moveTo(x, toY(value));
+            } else {
+                this.ctx.lineTo(x, toY(value));
+            }
+        });
+        this.ctx.stroke();
+    }
+
     drawBezierCurve(width, height, padding) {
         const gridWidth = width - 2 * padding;
         const gridHeight = height - 2 * padding;
@@ -248,6 +410,8 @@ class TransitionEditor {
     }
 
     handleCanvasMouseDown(e) {
+        if (this.hold || this.curveType !== 'bezier') return;
+
         const rect = this.canvas.getBoundingClientRect();
         const mouseX = e.clientX - rect.left;
         const mouseY = e.clientY - rect.top;
@@ -322,24 +486,7 @@ class TransitionEditor {
         }
 
         if (this.currentKeyframe) {
-            // Check if the curve is linear (0,0,1,1) - if so, remove it
-            const isLinear = this.controlPoints.cp1.x === 0 &&
-                this.controlPoints.cp1.y === 0 &&
-                this.controlPoints.cp2.x === 1 &&
-                this.controlPoints.cp2.y === 1;
-
-            if (isLinear) {
-                // Remove the curve property to make it linear
-                delete this.currentKeyframe.curve;
-            } else {
-                // Apply the custom curve to the keyframe
-                this.currentKeyframe.curve = {
-                    x1: this.controlPoints.cp1.x,
-                    y1: this.controlPoints.cp1.y,
-                    x2: this.controlPoints.cp2.x,
-                    y2: this.controlPoints.cp2.y
-                };
-            }
+            this.applyToKeyframe(this.currentKeyframe);
 
             // Redraw canvas and save state
             this.currentApp.redraw();
@@ -352,7 +499,204 @@ class TransitionEditor {
         this.closeModal();
     }
 
+    // Apply the hold setting and curve in the editor to a keyframe
+    applyToKeyframe(keyframe) {
+        if (this.hold) {
+            // Keep any curve so it comes back when hold is turned off
+            keyframe.hold = true;
+            return;
+        }
+
+        delete keyframe.hold;
+        const curve = this.getCurve();
+        if (this.isLinear(curve)) {
+            // Remove the curve property to make it linear
+            delete keyframe.curve;
+        } else {
+            keyframe.curve = curve;
+        }
+    }
+
+    // Null curves and the 0,0,1,1 bezier are linear
+    isLinear(curve) {
+        return !curve || (window.Easing.getType(curve) === 'bezier' &&
+            curve.x1 === 0 && curve.y1 === 0 && curve.x2 === 1 && curve.y2 === 1);
+    }
+
+    // Apply the editor's curve to every keyframe selected in the timeline, except the
+    // last keyframe of each property which has no transition to shape
+    applyToSelectedKeyframes() {
+        if (!this.currentApp) return;
+
+        const app = this.currentApp;
+        const timeline = app.timeline;
+        let applied = 0;
+
+        timeline.selectedKeyframes.forEach(selected => {
+            const keyframes = (app.textObjects.find(obj => obj.id === selected.objectId) || { keyframes: {} }).keyframes[selected.property] || [];
+            const keyframe = timeline.findKeyframe(selected.objectId, selected.property, selected.frame);
+            if (keyframe && keyframe !== keyframes[keyframes.length - 1]) {
+                this.applyToKeyframe(keyframe);
+                applied++;
+            }
+        });
+
+        if (applied === 0) {
+            window.UIManager.createNotification('No selected keyframes with a transition to apply the curve to', 'warning');
+            return;
+        }
+
+        timeline.updateLayers();
+        app.redraw();
+        app.saveState();
+        app.updateRightPanel();
+        window.UIManager.createNotification(`Curve applied to ${applied} keyframe${applied === 1 ? '' : 's'}`, 'success');
+        this.closeModal();
+    }
+
+    renderPresets() {
+        const container = document.getElementById('easingPresets');
+        container.innerHTML = '';
+
+        window.EasingPresets.getAll().forEach(preset => {
+            const button = document.createElement('button');
+            button.className = 'preset-btn';
+            button.title = preset.name;
+
+            const thumbnail = document.createElement('canvas');
+            thumbnail.width = 60;
+            thumbnail.height = 36;
+            this.drawThumbnail(thumbnail, preset.curve);
+            button.appendChild(thumbnail);
+
+            const label = document.createElement('span');
+            label.textContent = preset.name;
+            button.appendChild(label);
+
+            button.addEventListener('click', () => {
+                this.setHold(false);
+                this.loadCurve(preset.curve);
+            });
+
+            // User presets can be removed, built-in ones can't
+            if (!preset.builtIn) {
+                const deleteBtn = document.createElement('span');
+                deleteBtn.className = 'preset-delete';
+                deleteBtn.textContent = '×';
+                deleteBtn.title = 'Delete preset';
+                deleteBtn.addEventListener('click', async (e) => {
+                    e.stopPropagation();
+                    if (await window.UIManager.confirmAction(`Delete the preset "${preset.name}"?`)) {
+                        window.EasingPresets.remove(preset.name);
+                        this.renderPresets();
+                    }
+                });
+                button.appendChild(deleteBtn);
+            }
+
+            container.appendChild(button);
+        });
+    }
+
+    // Small preview of a curve, scaled vertically to fit any overshoot
+    drawThumbnail(canvas, curve) {
+        const ctx = canvas.getContext('2d');
+        const padding = 4;
+        const width = canvas.width - 2 * padding;
+        const height = canvas.height - 2 * padding;
+
+        const count = 60;
+        const samples = Array.from({ length: count + 1 }, (_, index) => {
+            const t = index / count;
+            if (!curve) return t;
+            if (window.Easing.getType(curve) !== 'bezier') return window.Easing.evaluate(t, curve);
+
+            // Sample the bezier by its parameter, which keeps overshooting curves accurate
+            return { x: this.bezierPoint(t, curve.x1, curve.x2), y: this.bezierPoint(t, curve.y1, curve.y2) };
+        }).map((sample, index) => typeof sample === 'number' ? { x: index / count, y: sample } : sample);
+
+        const min = Math.min(0, ...samples.map(sample => sample.y));
+        const max = Math.max(1, ...samples.map(sample => sample.y));
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.strokeStyle = '#0078d4';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        samples.forEach((sample, index) => {
+            const x = padding + sample.x * width;
+            const y = padding + height - (sample.y - min) / (max - min) * height;
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+    }
+
+    // One coordinate of a cubic bezier running from 0 to 1
+    bezierPoint(t, p1, p2) {
+        const mt = 1 - t;
+        return 3 * mt * mt * t * p1 + 3 * mt * t * t * p2 + t * t * t;
+    }
+
+    async saveAsPreset() {
+        const name = await window.UIManager.promptForInput('Preset name');
+        if (!name || !name.trim()) return;
+
+        const curve = this.getCurve();
+        if (window.EasingPresets.save(name.trim(), this.isLinear(curve) ? null : curve)) {
+            this.renderPresets();
+            window.UIManager.createNotification(`Preset "${name.trim()}" saved`, 'success');
+        } else {
+            window.UIManager.createNotification('Could not save the preset', 'error');
+        }
+    }
+
+    exportPresets() {
+        const collection = window.EasingPresets.exportCollection();
+        if (collection.presets.length === 0) {
+            window.UIManager.createNotification('There are no saved presets to export', 'warning');
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(collection, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'easing-presets.json';
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    importPresets(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const { added, skipped } = window.EasingPresets.importCollection(JSON.parse(e.target.result));
+                this.renderPresets();
+
+                if (skipped.length > 0) {
+                    window.UIManager.createNotification(`Imported ${added} preset${added === 1 ? '' : 's'}, skipped: ${window.ProjectSchema.formatIssues(skipped)}`, 'warning');
+                } else {
+                    window.UIManager.createNotification(`Imported ${added} preset${added === 1 ? '' : 's'}`, 'success');
+                }
+            } catch (error) {
+                window.UIManager.createNotification('Error importing presets: ' + error.message, 'error');
+            }
+        };
+        reader.readAsText(file);
+
+        // Allow importing the same file again
+        event.target.value = '';
+    }
+
     resetTransition() {
+        this.setHold(false);
+        this.setCurveType('bezier');
         this.setControlPoints(0, 0, 1, 1);
     }
 
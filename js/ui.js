@@ -20,6 +20,7 @@ class UIManager {
         const currentX = app.getPropertyValue(textObject, 'x');
         const currentY = app.getPropertyValue(textObject, 'y');
         const currentFontSize = app.getPropertyValue(textObject, 'fontSize');
+        const currentLineHeight = app.getPropertyValue(textObject, 'lineHeight');
         const currentColor = app.getPropertyValue(textObject, 'color');
 
         // Update font size
@@ -28,6 +29,20 @@ class UIManager {
             fontSizeInput.value = currentFontSize;
         }
 
+        // Update line height
+        const lineHeightInput = document.getElementById('lineHeight');
+        if (lineHeightInput) {
+            lineHeightInput.value = currentLineHeight;
+        }
+
+        // Update letter and word spacing, opacity, blur and stroke
+        ['letterSpacing', 'wordSpacing', 'opacity', 'blur', 'strokeWidth', 'strokeColor'].forEach(property => {
+            const input = document.getElementById(property);
+            if (input) {
+                input.value = app.getPropertyValue(textObject, property);
+            }
+        });
+
         // Update color
         const colorInput = document.getElementById('fontColor');
         if (colorInput) {
@@ -49,6 +64,12 @@ class UIManager {
             }
         });
 
+        UIManager.updateFillControls(textObject, app);
+        UIManager.updateEffectControls(textObject, app);
+        UIManager.updateBoxControls(textObject);
+        UIManager.updateStaggerControls(textObject);
+        UIManager.updateRangeControls(textObject, app);
+
         // Update position
         const textXInput = document.getElementById('textX');
         if (textXInput) {
@@ -70,6 +91,338 @@ class UIManager {
         UIManager.updateKeyframeButtonStates(textObject, app);
     }
 
+    // Fill type and angle, then a row per gradient stop or the scale and image of a pattern.
+    // Fields are edited on a copy of the fill at the current frame, which
+    // updateObjectProperty stores like any other value.
+    static updateFillControls(textObject, app) {
+        const typeSelect = document.getElementById('fillType');
+        const angleInput = document.getElementById('fillAngle');
+        const stopsContainer = document.getElementById('fillStops');
+        if (!typeSelect) return;
+
+        const fill = app.getPropertyValue(textObject, 'fill') || null;
+        typeSelect.value = fill ? fill.type : 'solid';
+        angleInput.value = fill ? Math.round(fill.angle * 100) / 100 : 90;
+        angleInput.disabled = !fill || fill.type === 'radial';
+        stopsContainer.innerHTML = '';
+        stopsContainer.style.display = fill ? '' : 'none';
+        if (!fill) return;
+
+        const updateFill = (changes, final) => {
+            app.updateObjectProperty(textObject, 'fill', { ...fill, ...changes });
+            app.redraw();
+            if (final) {
+                UIManager.updateFillControls(textObject, app);
+                app.saveState();
+            }
+        };
+        const updateStops = (stops, final) => updateFill({ stops }, final);
+
+        // Pattern tiles are scaled in percent of the image size
+        if (fill.type === 'pattern') {
+            const row = document.createElement('div');
+            row.className = 'property-input-group fill-stop';
+
+            const scaleInput = document.createElement('input');
+            scaleInput.type = 'number';
+            scaleInput.min = 1;
+            scaleInput.step = 1;
+            scaleInput.value = Math.round(fill.scale * 100) / 100;
+            scaleInput.title = 'Pattern scale in percent';
+            scaleInput.addEventListener('change', () => {
+                const scale = parseFloat(scaleInput.value);
+                if (Number.isFinite(scale) && scale > 0) {
+                    updateFill({ scale }, true);
+                } else {
+                    scaleInput.value = Math.round(fill.scale * 100) / 100;
+                }
+            });
+
+            const imageBtn = document.createElement('button');
+            imageBtn.className = 'btn-secondary';
+            imageBtn.textContent = 'Change Image';
+            imageBtn.addEventListener('click', async () => {
+                const image = await app.choosePatternImage();
+                if (image) updateFill({ image }, true);
+            });
+
+            row.appendChild(scaleInput);
+            row.appendChild(imageBtn);
+            stopsContainer.appendChild(row);
+            return;
+        }
+
+        fill.stops.forEach((stop, index) => {
+            const row = document.createElement('div');
+            row.className = 'property-input-group fill-stop';
+
+            const colorInput = document.createElement('input');
+            colorInput.type = 'color';
+            colorInput.value = stop.color;
+            colorInput.title = 'Stop color';
+            colorInput.addEventListener('change', () => {
+                updateStops(fill.stops.map((s, i) => i === index ? { ...s, color: colorInput.value } : s), true);
+            });
+
+            const offsetInput = document.createElement('input');
+            offsetInput.type = 'number';
+            offsetInput.min = 0;
+            offsetInput.max = 100;
+            offsetInput.step = 1;
+            offsetInput.value = Math.round(stop.offset * 100) / 100;
+            offsetInput.title = 'Stop position in percent';
+            offsetInput.addEventListener('change', () => {
+                const offset = Math.max(0, Math.min(100, parseFloat(offsetInput.value) || 0));
+                updateStops(fill.stops.map((s, i) => i === index ? { ...s, offset } : s), true);
+            });
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'fill-stop-remove';
+            removeBtn.textContent = '×';
+            removeBtn.title = 'Remove stop';
+            removeBtn.disabled = fill.stops.length <= 2;
+            removeBtn.addEventListener('click', () => {
+                updateStops(fill.stops.filter((s, i) => i !== index), true);
+            });
+
+            row.appendChild(colorInput);
+            row.appendChild(offsetInput);
+            row.appendChild(removeBtn);
+            stopsContainer.appendChild(row);
+        });
+
+        // New stops go halfway between the last two, keyframes with a different number of
+        // stops switch instead of blending
+        const addBtn = document.createElement('button');
+        addBtn.className = 'btn-secondary';
+        addBtn.textContent = 'Add Stop';
+        addBtn.addEventListener('click', () => {
+            const sorted = window.TextLayout.getSortedStops(fill);
+            const last = sorted[sorted.length - 1];
+            const previous = sorted[sorted.length - 2];
+            updateStops([...fill.stops, {
+                offset: (previous.offset + last.offset) / 2,
+                color: app.interpolateColor(previous.color, last.color, 0.5)
+            }], true);
+        });
+        stopsContainer.appendChild(addBtn);
+    }
+
+    // One card per effect, listed from the top of the stack down. Each parameter has its own
+    // keyframe and transition buttons, offsets and blur are in pixels and opacity in percent.
+    static updateEffectControls(textObject, app) {
+        const stackContainer = document.getElementById('effectsStack');
+        if (!stackContainer) return;
+
+        stackContainer.innerHTML = '';
+        const effects = textObject.effects || [];
+        const ranges = window.ProjectSchema.EFFECT_PARAMETER_RANGES;
+
+        const updateStack = () => {
+            app.timeline.update();
+            app.updateRightPanel();
+            app.redraw();
+            app.saveState();
+        };
+
+        [...effects].reverse().forEach(effect => {
+            const index = effects.indexOf(effect);
+            const item = document.createElement('div');
+            item.className = 'effect-item';
+
+            const header = document.createElement('div');
+            header.className = 'effect-header';
+            const name = document.createElement('span');
+            name.textContent = window.TextEffects.getEffectName(textObject, effect);
+            header.appendChild(name);
+
+            const headerButtons = [
+                { text: '↑', title: 'Move up the stack', disabled: index === effects.length - 1, action: () => {
+                    if (window.TextEffects.moveEffect(textObject, effect.id, 1)) updateStack();
+                } },
+                { text: '↓', title: 'Move down the stack', disabled: index === 0, action: () => {
+                    if (window.TextEffects.moveEffect(textObject, effect.id, -1)) updateStack();
+                } },
+                { text: '×', title: 'Remove effect', disabled: false, action: async () => {
+                    const prefix = `effect:${effect.id}:`;
+                    const keyframeCount = Object.entries(textObject.keyframes)
+                        .filter(([property]) => property.startsWith(prefix))
+                        .reduce((sum, [, keyframes]) => sum + keyframes.length, 0);
+                    if (keyframeCount > 0 && !await UIManager.confirmAction(`Remove ${name.textContent} and its ${keyframeCount} keyframe(s)?`)) {
+                        return;
+                    }
+                    window.TextEffects.removeEffect(textObject, effect.id);
+                    updateStack();
+                } }
+            ];
+            headerButtons.forEach(({ text, title, disabled, action }) => {
+                const button = document.createElement('button');
+                button.textContent = text;
+                button.title = title;
+                button.disabled = disabled;
+                button.addEventListener('click', action);
+                header.appendChild(button);
+            });
+            item.appendChild(header);
+
+            Object.keys(window.TextEffects.TYPES[effect.type].defaults).forEach(parameter => {
+                const propertyName = window.TextEffects.getProperty(effect.id, parameter);
+                const row = document.createElement('div');
+                row.className = 'property-input-group effect-parameter';
+
+                const label = document.createElement('label');
+                label.textContent = window.TextEffects.PARAMETER_NAMES[parameter];
+                row.appendChild(label);
+
+                const input = document.createElement('input');
+                const value = app.getPropertyValue(textObject, propertyName);
+                if (parameter === 'color') {
+                    input.type = 'color';
+                    input.value = value;
+                    input.addEventListener('change', () => {
+                        app.updateObjectProperty(textObject, propertyName, input.value);
+                        app.redraw();
+                        app.saveState();
+                    });
+                } else {
+                    // Offsets are unbounded, the other parameters keep to the schema's ranges
+                    const range = ranges[parameter];
+                    input.type = 'number';
+                    input.step = parameter === 'opacity' ? 1 : 0.5;
+                    if (range) {
+                        input.min = range.min;
+                        input.max = range.max;
+                    }
+                    input.value = Math.round(value * 100) / 100;
+                    input.addEventListener('input', () => {
+                        const number = parseFloat(input.value);
+                        if (Number.isFinite(number)) {
+                            app.updateObjectProperty(textObject, propertyName, range ? window.ProjectSchema.clampToRange(number, range) : number);
+                            app.redraw();
+                        }
+                    });
+                    input.addEventListener('change', () => {
+                        input.value = Math.round(app.getPropertyValue(textObject, propertyName) * 100) / 100;
+                        app.saveState();
+                    });
+                }
+                row.appendChild(input);
+
+                const keyframeBtn = document.createElement('button');
+                keyframeBtn.className = 'keyframe-btn';
+                keyframeBtn.dataset.property = propertyName;
+                keyframeBtn.textContent = '◆';
+                keyframeBtn.title = 'Add/Remove Keyframe';
+                keyframeBtn.addEventListener('click', () => {
+                    app.toggleKeyframe(textObject, propertyName);
+                });
+                row.appendChild(keyframeBtn);
+
+                const transitionBtn = document.createElement('button');
+                transitionBtn.className = 'transition-btn';
+                transitionBtn.dataset.property = propertyName;
+                transitionBtn.textContent = '⟋';
+                transitionBtn.title = 'Edit Transition Curve';
+                transitionBtn.addEventListener('click', () => {
+                    if (transitionBtn.disabled) return;
+                    window.TransitionEditor.openModal(textObject, propertyName, app);
+                });
+                row.appendChild(transitionBtn);
+
+                item.appendChild(row);
+            });
+
+            stackContainer.appendChild(item);
+        });
+    }
+
+    static updateBoxControls(textObject) {
+        const enabledInput = document.getElementById('boxEnabled');
+        const widthInput = document.getElementById('boxWidth');
+        if (!enabledInput) return;
+
+        // Keep the last used width in the input while the box is off
+        enabledInput.checked = !!textObject.boxWidth;
+        if (textObject.boxWidth) {
+            widthInput.value = textObject.boxWidth;
+        }
+        widthInput.disabled = !textObject.boxWidth;
+    }
+
+    static updateStaggerControls(textObject) {
+        const enabledInput = document.getElementById('staggerEnabled');
+        const framesInput = document.getElementById('staggerFrames');
+        const orderSelect = document.getElementById('staggerOrder');
+        const seedInput = document.getElementById('staggerSeed');
+        if (!enabledInput) return;
+
+        // Keep the last used values in the inputs while the stagger is off
+        const stagger = textObject.stagger;
+        enabledInput.checked = !!stagger;
+        if (stagger) {
+            framesInput.value = stagger.frames;
+            orderSelect.value = stagger.order;
+            seedInput.value = stagger.seed || 0;
+        }
+
+        framesInput.disabled = !stagger;
+        orderSelect.disabled = !stagger;
+        seedInput.disabled = !stagger;
+        seedInput.style.display = orderSelect.value === 'random' ? '' : 'none';
+    }
+
+    static updateRangeControls(textObject, app) {
+        const enabledInput = document.getElementById('rangeEnabled');
+        if (!enabledInput) return;
+
+        const selector = textObject.rangeSelector;
+        const amounts = selector ? selector.properties || {} : {};
+        enabledInput.checked = !!selector;
+        if (selector) {
+            document.getElementById('rangeShape').value = selector.shape;
+            document.getElementById('rangeY').value = amounts.y || 0;
+            document.getElementById('rangeFontSize').value = amounts.fontSize || 0;
+            document.getElementById('rangeColorEnabled').checked = 'color' in amounts;
+            if (amounts.color) {
+                document.getElementById('rangeColor').value = amounts.color;
+            }
+        }
+
+        document.getElementById('rangeStart').value = app.getPropertyValue(textObject, 'range:start');
+        document.getElementById('rangeEnd').value = app.getPropertyValue(textObject, 'range:end');
+        document.getElementById('rangeOffset').value = app.getPropertyValue(textObject, 'range:offset');
+
+        // One amount per variable axis of the font
+        const axesContainer = document.getElementById('rangeAxes');
+        axesContainer.innerHTML = '';
+        const fontInfo = app.fonts.get(textObject.fontFamily);
+        Object.entries(fontInfo ? fontInfo.variableAxes : {}).forEach(([tag, axisInfo]) => {
+            const propertyName = `variableaxis:${tag}`;
+            const group = document.createElement('div');
+            group.className = 'property-group';
+
+            const label = document.createElement('label');
+            label.textContent = `Range ${axisInfo.name} Offset:`;
+            group.appendChild(label);
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = 'any';
+            input.value = amounts[propertyName] || 0;
+            input.dataset.property = propertyName;
+            group.appendChild(input);
+
+            axesContainer.appendChild(group);
+        });
+
+        ['rangeShape', 'rangeStart', 'rangeEnd', 'rangeOffset', 'rangeY', 'rangeFontSize', 'rangeColorEnabled', 'rangeColor'].forEach(id => {
+            document.getElementById(id).disabled = !selector;
+        });
+        axesContainer.querySelectorAll('input').forEach(input => {
+            input.disabled = !selector;
+        });
+    }
+
     static updateVariableAxes(textObject, app) {
         const variableAxesContainer = document.getElementById('variableAxes');
         variableAxesContainer.innerHTML = '';
@@ -283,10 +636,11 @@ class UIManager {
         const control = document.createElement('div');
         control.className = 'feature-control';
 
+        const propertyName = `feature:${tag}`;
         const checkbox = document.createElement('input');
         checkbox.type = 'checkbox';
         checkbox.id = `feature-${tag}-${textObject.id}`;
-        checkbox.checked = textObject.openTypeFeatures && textObject.openTypeFeatures[tag] || false;
+        checkbox.checked = app.getPropertyValue(textObject, propertyName);
 
         checkbox.addEventListener('change', (e) => {
             UIManager.updateFeatureValue(tag, e.target.checked, textObject, app);
@@ -300,17 +654,36 @@ class UIManager {
             ${featureInfo.description ? `<div class="feature-description">${featureInfo.description}</div>` : ''}
         `;
 
+        // Features switch on or off at keyframes, so there is no transition button
+        const keyframeBtn = document.createElement('button');
+        keyframeBtn.className = 'keyframe-btn';
+        keyframeBtn.dataset.property = propertyName;
+        keyframeBtn.textContent = '◆';
+        keyframeBtn.title = 'Add/Remove Keyframe';
+        keyframeBtn.addEventListener('click', () => {
+            app.toggleKeyframe(textObject, propertyName);
+        });
+
         control.appendChild(checkbox);
         control.appendChild(label);
+        control.appendChild(keyframeBtn);
 
         return control;
     }
 
     static updateFeatureValue(tag, enabled, textObject, app) {
-        if (!textObject.openTypeFeatures) {
-            textObject.openTypeFeatures = {};
+        const propertyName = `feature:${tag}`;
+
+        // Animated features get a keyframe, others keep using the object's feature settings
+        const isAnimated = textObject.keyframes[propertyName] && textObject.keyframes[propertyName].length > 0;
+        if (isAnimated || (textObject.initialState && textObject.initialState.hasOwnProperty(propertyName))) {
+            app.updateObjectProperty(textObject, propertyName, enabled);
+        } else {
+            if (!textObject.openTypeFeatures) {
+                textObject.openTypeFeatures = {};
+            }
+            textObject.openTypeFeatures[tag] = enabled;
         }
-        textObject.openTypeFeatures[tag] = enabled;
 
         // Clear any cached canvas styles to force a clean repaint
         if (app._originalCanvasStyles) {
@@ -716,6 +1089,8 @@ class UIManager {
         if (!textObject.keyframes[property]) return false;
 
         const keyframe = textObject.keyframes[property].find(kf => kf.frame === frame);
+        if (keyframe && keyframe.hold) return true;
+
         return keyframe && keyframe.curve &&
             !(keyframe.curve.x1 === 0 && keyframe.curve.y1 === 0 &&
                 keyframe.curve.x2 === 1 && keyframe.curve.y2 === 1);
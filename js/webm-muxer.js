@@ -0,0 +1,227 @@
+// Minimal WebM (Matroska) muxer for WebCodecs VP8/VP9 output
+class WebMMuxer {
+    constructor({ width, height, frameRate, codec, alpha = false }) {
+        this.width = width;
+        this.height = height;
+        this.frameRate = frameRate;
+        this.codecId = codec.startsWith('vp09') ? 'V_VP9' : 'V_VP8';
+        this.alpha = alpha;
+        this.samples = [];
+    }
+
+    // Store an EncodedVideoChunk in decode order
+    addChunk(chunk, metadata) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+
+        // VP8/VP9 alpha is encoded as a separate stream delivered as side data
+        let alphaData = null;
+        if (this.alpha && metadata && metadata.alphaSideData) {
+            const side = metadata.alphaSideData;
+            alphaData = ArrayBuffer.isView(side)
+                ? new Uint8Array(side.buffer, side.byteOffset, side.byteLength).slice()
+                : new Uint8Array(side).slice();
+        }
+
+        this.samples.push({
+            data: data,
+            alphaData: alphaData,
+            timestamp: chunk.timestamp, // microseconds
+            duration: chunk.duration || Math.round(1e6 / this.frameRate),
+            isKey: chunk.type === 'key'
+        });
+    }
+
+    finalize() {
+        // Timecodes are stored in milliseconds
+        const toMs = (microseconds) => Math.round(microseconds / 1000);
+        const lastSample = this.samples[this.samples.length - 1];
+        const durationMs = lastSample ? (lastSample.timestamp + lastSample.duration) / 1000 : 0;
+
+        const header = this.master(0x1A45DFA3, [
+            this.uint(0x4286, 1), // EBMLVersion
+            this.uint(0x42F7, 1), // EBMLReadVersion
+            this.uint(0x42F2, 4), // EBMLMaxIDLength
+            this.uint(0x42F3, 8), // EBMLMaxSizeLength
+            this.string(0x4282, 'webm'), // DocType
+            this.uint(0x4287, 2), // DocTypeVersion
+            this.uint(0x4285, 2) // DocTypeReadVersion
+        ]);
+
+        const info = this.master(0x1549A966, [
+            this.uint(0x2AD7B1, 1000000), // TimecodeScale, 1 ms
+            this.string(0x4D80, 'Font Animation Studio'), // MuxingApp
+            this.string(0x5741, 'Font Animation Studio'), // WritingApp
+            this.float(0x4489, durationMs) // Duration
+        ]);
+
+        const videoSettings = [
+            this.uint(0xB0, this.width), // PixelWidth
+            this.uint(0xBA, this.height) // PixelHeight
+        ];
+        const trackEntry = [
+            this.uint(0xD7, 1), // TrackNumber
+            this.uint(0x73C5, 1), // TrackUID
+            this.uint(0x83, 1), // TrackType: video
+            this.uint(0x9C, 0), // FlagLacing
+            this.string(0x86, this.codecId), // CodecID
+            this.uint(0x23E383, Math.round(1e9 / this.frameRate)) // DefaultDuration in ns
+        ];
+
+        if (this.alpha) {
+            videoSettings.push(this.uint(0x53C0, 1)); // AlphaMode
+            trackEntry.push(this.uint(0x55EE, 1)); // MaxBlockAdditionID
+        }
+
+        const tracks = this.master(0x1654AE6B, [
+            this.master(0xAE, [...trackEntry, this.master(0xE0, videoSettings)])
+        ]);
+
+        // Start a new cluster at every keyframe, or before block timecodes overflow 16 bits
+        const clusters = [];
+        let current = null;
+        let previousTime = 0;
+        this.samples.forEach(sample => {
+            const time = toMs(sample.timestamp);
+            if (!current || sample.isKey || time - current.time > 32767) {
+                current = { time: time, blocks: [] };
+                clusters.push(current);
+            }
+            current.blocks.push(sample.alphaData
+                ? this.blockGroup(sample, time - current.time, previousTime - time)
+                : this.simpleBlock(sample, time - current.time));
+            previousTime = time;
+        });
+
+        const clusterElements = clusters.map(cluster => this.master(0x1F43B675, [
+            this.uint(0xE7, cluster.time), // Timecode
+            ...cluster.blocks
+        ]));
+
+        // Cue points reference cluster offsets relative to the segment data
+        let position = info.size + tracks.size;
+        const cuePoints = clusterElements.map((element, index) => {
+            const cuePoint = this.master(0xBB, [
+                this.uint(0xB3, clusters[index].time), // CueTime
+                this.master(0xB7, [
+                    this.uint(0xF7, 1), // CueTrack
+                    this.uint(0xF1, position) // CueClusterPosition
+                ])
+            ]);
+            position += element.size;
+            return cuePoint;
+        });
+
+        const segment = this.master(0x18538067, [
+            info,
+            tracks,
+            ...clusterElements,
+            this.master(0x1C53BB6B, cuePoints)
+        ]);
+
+        return new Blob([...header.parts, ...segment.parts], { type: 'video/webm' });
+    }
+
+    simpleBlock(sample, relativeTime) {
+        const blockHeader = new Uint8Array(4);
+        blockHeader[0] = 0x81; // Track number 1 as EBML vint
+        blockHeader[1] = (relativeTime >> 8) & 0xFF;
+        blockHeader[2] = relativeTime & 0xFF;
+        blockHeader[3] = sample.isKey ? 0x80 : 0x00;
+        return this.element(0xA3, [blockHeader, sample.data]);
+    }
+
+    // Blocks carrying alpha need a BlockGroup so the alpha stream can go into BlockAdditions
+    blockGroup(sample, relativeTime, referenceOffset) {
+        const blockHeader = new Uint8Array(4);
+        blockHeader[0] = 0x81; // Track number 1 as EBML vint
+        blockHeader[1] = (relativeTime >> 8) & 0xFF;
+        blockHeader[2] = relativeTime & 0xFF;
+        blockHeader[3] = 0x00;
+
+        const children = [
+            this.element(0xA1, [blockHeader, sample.data]), // Block
+            this.master(0x75A1, [ // BlockAdditions
+                this.master(0xA6, [ // BlockMore
+                    this.uint(0xEE, 1), // BlockAddID
+                    this.element(0xA5, [sample.alphaData]) // BlockAdditional
+                ])
+            ])
+        ];
+
+        // Delta frames reference the previous frame, keyframes have no reference
+        if (!sample.isKey) {
+            children.push(this.int(0xFB, referenceOffset)); // ReferenceBlock
+        }
+
+        return this.master(0xA0, children);
+    }
+
+    // Elements are kept as lists of byte arrays so frame data is never copied
+    element(id, payloadParts) {
+        const payloadSize = payloadParts.reduce((sum, part) => sum + part.length, 0);
+        const head = new Uint8Array([...this.idBytes(id), ...this.sizeBytes(payloadSize)]);
+        return {
+            parts: [head, ...payloadParts],
+            size: head.length + payloadSize
+        };
+    }
+
+    master(id, children) {
+        return this.element(id, children.flatMap(child => child.parts));
+    }
+
+    uint(id, value) {
+        const bytes = [];
+        do {
+            bytes.unshift(value % 256);
+            value = Math.floor(value / 256);
+        } while (value > 0);
+        return this.element(id, [new Uint8Array(bytes)]);
+    }
+
+    int(id, value) {
+        const bytes = new Uint8Array(2);
+        new DataView(bytes.buffer).setInt16(0, value);
+        return this.element(id, [bytes]);
+    }
+
+    float(id, value) {
+        const bytes = new Uint8Array(8);
+        new DataView(bytes.buffer).setFloat64(0, value);
+        return this.element(id, [bytes]);
+    }
+
+    string(id, value) {
+        return this.element(id, [new TextEncoder().encode(value)]);
+    }
+
+    idBytes(id) {
+        const bytes = [];
+        while (id > 0) {
+            bytes.unshift(id & 0xFF);
+            id = Math.floor(id / 256);
+        }
+        return bytes;
+    }
+
+    // Element sizes use the shortest EBML variable length integer
+    sizeBytes(size) {
+        let length = 1;
+        while (length < 8 && size >= Math.pow(2, 7 * length) - 1) {
+            length++;
+        }
+
+        const bytes = new Array(length);
+        let value = size;
+        for (let i = length - 1; i >= 0; i--) {
+            bytes[i] = value % 256;
+            value = Math.floor(value / 256);
+        }
+        bytes[0] |= 0x80 >> (length - 1);
+        return bytes;
+    }
+}
+
+// Make WebMMuxer available globally
+window.WebMMuxer = WebMMuxer;